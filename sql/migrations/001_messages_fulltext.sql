@@ -0,0 +1,4 @@
+-- Global search: FULLTEXT index over message bodies (see GET /api/search)
+USE whatsapp_viewer;
+
+ALTER TABLE messages ADD FULLTEXT INDEX ft_messages_content (content);
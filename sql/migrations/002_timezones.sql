@@ -0,0 +1,6 @@
+-- Timezone-aware timestamps: messages.timestamp is UTC from now on, tz_offset keeps the
+-- sender's original offset. Rows imported earlier hold naive local times and keep tz_offset NULL.
+USE whatsapp_viewer;
+
+ALTER TABLE users ADD COLUMN timezone VARCHAR(64) AFTER password_hash;
+ALTER TABLE messages ADD COLUMN tz_offset SMALLINT AFTER timestamp;
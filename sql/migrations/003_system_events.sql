@@ -0,0 +1,19 @@
+-- System messages ("X added Y", subject changes, ...) and the per-chat event timeline built from them
+USE whatsapp_viewer;
+
+ALTER TABLE messages MODIFY COLUMN type ENUM('text','image','video','audio','pdf','file','system') DEFAULT 'text';
+
+CREATE TABLE IF NOT EXISTS chat_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  chat_id INT NOT NULL,
+  message_id BIGINT NOT NULL,
+  kind VARCHAR(32) NOT NULL,
+  actor VARCHAR(191),
+  targets JSON,
+  value VARCHAR(512),
+  previous_value VARCHAR(512),
+  timestamp DATETIME,
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+  FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+  INDEX idx_chat_events_chat_time (chat_id, timestamp)
+) ENGINE=InnoDB;
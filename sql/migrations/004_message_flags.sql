@@ -0,0 +1,40 @@
+-- Deleted / edited / "<Media omitted>" markers as flags instead of message text
+USE whatsapp_viewer;
+
+ALTER TABLE messages
+  ADD COLUMN is_deleted TINYINT(1) NOT NULL DEFAULT 0 AFTER media_path,
+  ADD COLUMN is_edited TINYINT(1) NOT NULL DEFAULT 0 AFTER is_deleted,
+  ADD COLUMN media_omitted TINYINT(1) NOT NULL DEFAULT 0 AFTER is_edited,
+  ADD COLUMN media_kind VARCHAR(16) AFTER media_omitted;
+
+-- Flag rows imported before this migration from their marker text.
+-- A deleted message has no text left (NULL, which never collides in unique_message).
+UPDATE messages SET is_deleted = 1, content = NULL
+  WHERE content IN ('This message was deleted', 'You deleted this message');
+
+-- An edited copy whose text is already stored for the same author and time is the same message
+-- imported twice: flag the stored row and drop the copy, so that removing the marker cannot collide
+UPDATE messages kept
+JOIN messages dup ON dup.chat_id = kept.chat_id AND dup.author = kept.author AND dup.timestamp = kept.timestamp
+  AND dup.id <> kept.id AND dup.content LIKE '%<This message was edited>'
+  AND LEFT(kept.content, 255) = LEFT(RTRIM(TRIM(TRAILING '<This message was edited>' FROM dup.content)), 255)
+SET kept.is_edited = 1;
+DELETE dup FROM messages dup
+JOIN messages kept ON kept.chat_id = dup.chat_id AND kept.author = dup.author AND kept.timestamp = dup.timestamp
+  AND kept.id <> dup.id AND kept.is_edited = 1
+  AND LEFT(kept.content, 255) = LEFT(RTRIM(TRIM(TRAILING '<This message was edited>' FROM dup.content)), 255)
+WHERE dup.content LIKE '%<This message was edited>';
+UPDATE messages SET is_edited = 1, content = RTRIM(TRIM(TRAILING '<This message was edited>' FROM content))
+  WHERE content LIKE '%<This message was edited>';
+
+-- Likewise an empty text stored for the same author and time as "<Media omitted>" is that message
+UPDATE messages kept
+JOIN messages dup ON dup.chat_id = kept.chat_id AND dup.author = kept.author AND dup.timestamp = kept.timestamp
+  AND dup.id <> kept.id AND dup.content = '<Media omitted>' AND kept.content = ''
+SET kept.media_omitted = 1, kept.type = 'file';
+DELETE dup FROM messages dup
+JOIN messages kept ON kept.chat_id = dup.chat_id AND kept.author = dup.author AND kept.timestamp = dup.timestamp
+  AND kept.id <> dup.id AND kept.content = '' AND kept.media_omitted = 1
+WHERE dup.content = '<Media omitted>';
+UPDATE messages SET media_omitted = 1, content = '', type = 'file'
+  WHERE content = '<Media omitted>';
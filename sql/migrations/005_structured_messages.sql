@@ -0,0 +1,6 @@
+-- Location, contact card and poll messages with a structured JSON payload
+USE whatsapp_viewer;
+
+ALTER TABLE messages
+  MODIFY COLUMN type ENUM('text','image','video','audio','pdf','file','system','location','contact','poll') DEFAULT 'text',
+  ADD COLUMN payload JSON AFTER media_path;
@@ -0,0 +1,21 @@
+-- Content-addressed media store. Messages reference media rows instead of raw paths.
+-- After applying this, run `npm run migrate:media` to convert existing media_path values;
+-- media_path is left in place (unused by the app) so nothing is lost if a file is missing.
+USE whatsapp_viewer;
+
+CREATE TABLE IF NOT EXISTS media (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  sha256 CHAR(64) NOT NULL UNIQUE,
+  size BIGINT NOT NULL,
+  mime_type VARCHAR(127) NOT NULL,
+  width INT,
+  height INT,
+  storage_path VARCHAR(512) NOT NULL,
+  original_name VARCHAR(255),
+  ref_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB;
+
+ALTER TABLE messages
+  ADD COLUMN media_id BIGINT AFTER media_path,
+  ADD FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE SET NULL;
@@ -0,0 +1,9 @@
+-- Thumbnails and metadata (duration, EXIF capture time) for stored media.
+-- Existing rows are filled by `npm run migrate:media-metadata`.
+USE whatsapp_viewer;
+
+ALTER TABLE media
+  ADD COLUMN duration_ms INT AFTER height,
+  ADD COLUMN captured_at DATETIME AFTER duration_ms,
+  ADD COLUMN captured_offset SMALLINT AFTER captured_at,
+  ADD COLUMN thumbnails JSON AFTER captured_offset;
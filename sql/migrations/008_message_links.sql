@@ -0,0 +1,17 @@
+-- Index of URLs shared in messages. Fill it for existing chats with `npm run migrate:links`.
+USE whatsapp_viewer;
+
+CREATE TABLE IF NOT EXISTS message_links (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  chat_id INT NOT NULL,
+  message_id BIGINT NOT NULL,
+  author VARCHAR(191),
+  url VARCHAR(2048) NOT NULL,
+  domain VARCHAR(255) NOT NULL,
+  timestamp DATETIME,
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+  FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_message_link (message_id, url(255)),
+  INDEX idx_message_links_chat_time (chat_id, timestamp),
+  INDEX idx_message_links_domain (domain)
+) ENGINE=InnoDB;
@@ -0,0 +1,14 @@
+-- Chat analytics cache, invalidated through chats.data_version
+USE whatsapp_viewer;
+
+ALTER TABLE chats ADD COLUMN data_version INT NOT NULL DEFAULT 0 AFTER name;
+
+CREATE TABLE IF NOT EXISTS chat_stats_cache (
+  chat_id INT NOT NULL,
+  params_hash CHAR(64) NOT NULL,
+  data_version INT NOT NULL,
+  stats JSON NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (chat_id, params_hash),
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
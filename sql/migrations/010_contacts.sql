@@ -0,0 +1,25 @@
+-- Contacts: resolve author strings and phone numbers across chats to one person.
+-- Create contacts for existing chats with `npm run migrate:contacts`.
+USE whatsapp_viewer;
+
+CREATE TABLE IF NOT EXISTS contacts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  display_name VARCHAR(191) NOT NULL,
+  name_source ENUM('author','vcard','user') NOT NULL DEFAULT 'author',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS contact_aliases (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  contact_id INT NOT NULL,
+  kind ENUM('author','phone') NOT NULL,
+  value VARCHAR(191) NOT NULL,
+  label VARCHAR(191),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_contact_alias (user_id, kind, value),
+  INDEX idx_contact_aliases_contact (contact_id)
+) ENGINE=InnoDB;
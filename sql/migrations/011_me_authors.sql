@@ -0,0 +1,15 @@
+-- "Me" author strings, rewritten to users.me_author so exports from two devices de-duplicate
+USE whatsapp_viewer;
+
+ALTER TABLE users ADD COLUMN me_author VARCHAR(191) AFTER timezone;
+
+CREATE TABLE IF NOT EXISTS me_authors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  chat_id INT,
+  value VARCHAR(191) NOT NULL,
+  label VARCHAR(191) NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_me_author (user_id, chat_id, value)
+) ENGINE=InnoDB;
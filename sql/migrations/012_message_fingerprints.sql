@@ -0,0 +1,10 @@
+-- Fingerprint-based de-duplication instead of unique_message (which compared only content(255)).
+-- Fill fingerprints for existing messages with `npm run migrate:fingerprints`.
+USE whatsapp_viewer;
+
+ALTER TABLE messages
+  ADD COLUMN fingerprint CHAR(64) AFTER media_kind,
+  ADD COLUMN fp_seq SMALLINT NOT NULL DEFAULT 0 AFTER fingerprint,
+  ADD UNIQUE KEY unique_message_fingerprint (chat_id, fingerprint, fp_seq),
+  ADD INDEX idx_messages_chat_author (chat_id, author),
+  DROP INDEX unique_message;
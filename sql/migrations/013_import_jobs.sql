@@ -0,0 +1,20 @@
+-- Background import jobs with resumable checkpoints
+USE whatsapp_viewer;
+
+CREATE TABLE IF NOT EXISTS import_jobs (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  status ENUM('queued','running','completed','failed','cancelled') NOT NULL DEFAULT 'queued',
+  temp_path VARCHAR(512), -- the uploaded ZIP; NULL once completed or expired (no retry possible)
+  original_name VARCHAR(255),
+  options JSON NOT NULL, -- { parseOptions, timezone, onConflict, targets: { fileName: chatId | "new" | "skip" } }
+  progress JSON, -- checkpoint (file, message index, chats opened) and counters, saved with each committed batch
+  result JSON, -- import stats once completed
+  error TEXT,
+  attempts INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_import_jobs_status (status, finished_at)
+) ENGINE=InnoDB;
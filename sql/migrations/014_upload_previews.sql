@@ -0,0 +1,19 @@
+-- Upload previews stored in the database instead of server memory
+USE whatsapp_viewer;
+
+CREATE TABLE IF NOT EXISTS upload_previews (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  storage_path VARCHAR(512) NOT NULL, -- the uploaded ZIP, inside PREVIEW_DIR
+  original_name VARCHAR(255),
+  file_names JSON NOT NULL, -- chat (.txt) files found in the ZIP
+  chats JSON, -- [{ fileName, nameGuess, messageCount, suggestedChatId }] for GET /api/upload/preview
+  parse_options JSON NOT NULL,
+  timezone VARCHAR(64) NOT NULL,
+  media_file_count INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_upload_previews_user (user_id, expires_at),
+  INDEX idx_upload_previews_expires (expires_at)
+) ENGINE=InnoDB;
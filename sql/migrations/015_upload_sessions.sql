@@ -0,0 +1,26 @@
+-- Resumable chunked uploads
+USE whatsapp_viewer;
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  storage_path VARCHAR(512) NOT NULL, -- the file being assembled, inside PREVIEW_DIR
+  original_name VARCHAR(255),
+  size BIGINT NOT NULL,
+  chunk_size INT NOT NULL,
+  chunk_count INT NOT NULL,
+  sha256 CHAR(64), -- of the whole file, checked on completion when given
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL, -- pushed back by every chunk
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_upload_sessions_expires (expires_at)
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS upload_chunks (
+  upload_id CHAR(36) NOT NULL,
+  chunk_index INT NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (upload_id, chunk_index),
+  FOREIGN KEY (upload_id) REFERENCES upload_sessions(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
@@ -0,0 +1,11 @@
+-- Attachments missing from the ZIP fingerprint as media, like the export lines they came from.
+-- Then run `npm run migrate:fingerprints` again to refill the fingerprints cleared here.
+USE whatsapp_viewer;
+
+-- Rows imported before media_kind existed: the kind follows from the type the filename gave them
+UPDATE messages SET media_kind = IF(type = 'pdf', 'document', type)
+  WHERE media_kind IS NULL AND media_omitted = 0 AND type IN ('image', 'video', 'audio', 'pdf', 'file', 'contact');
+
+-- Fingerprinted from their text by the first backfill (media_id NULL and no omitted flag)
+UPDATE messages SET fingerprint = NULL
+  WHERE fingerprint IS NOT NULL AND is_deleted = 0 AND media_id IS NULL AND media_omitted = 0 AND media_kind IS NOT NULL;
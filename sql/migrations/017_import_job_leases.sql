@@ -0,0 +1,10 @@
+-- Import jobs claimed with a renewable lease, so several server instances can share them
+USE whatsapp_viewer;
+
+ALTER TABLE import_jobs
+  ADD COLUMN owner VARCHAR(128) AFTER attempts,
+  ADD COLUMN lease_expires_at TIMESTAMP NULL AFTER owner,
+  ADD COLUMN cancel_requested TINYINT(1) NOT NULL DEFAULT 0 AFTER lease_expires_at;
+
+-- Jobs left running by the single-process worker: let the next instance take them over
+UPDATE import_jobs SET lease_expires_at = CURRENT_TIMESTAMP WHERE status = 'running';
@@ -0,0 +1,45 @@
+-- Media rows per user: a file uploaded by two users is two rows (each with its own name and references),
+-- still one file on disk. Rows shared so far are split; the copies get no original_name.
+USE whatsapp_viewer;
+
+ALTER TABLE media
+  ADD COLUMN user_id INT AFTER id,
+  DROP INDEX sha256;
+
+-- the row stays with the first user referencing it
+UPDATE media md
+JOIN (SELECT m.media_id, MIN(c.user_id) AS user_id
+      FROM messages m JOIN chats c ON c.id = m.chat_id
+      WHERE m.media_id IS NOT NULL
+      GROUP BY m.media_id) x ON x.media_id = md.id
+SET md.user_id = x.user_id;
+
+-- a copy for every other user
+INSERT INTO media (user_id, sha256, size, mime_type, width, height, duration_ms, captured_at, captured_offset,
+                   thumbnails, storage_path, original_name, ref_count)
+SELECT c.user_id, md.sha256, md.size, md.mime_type, md.width, md.height, md.duration_ms, md.captured_at,
+       md.captured_offset, md.thumbnails, md.storage_path, NULL, 0
+FROM messages m
+JOIN chats c ON c.id = m.chat_id
+JOIN media md ON md.id = m.media_id
+WHERE c.user_id <> md.user_id
+GROUP BY c.user_id, md.id;
+
+UPDATE messages m
+JOIN chats c ON c.id = m.chat_id
+JOIN media shared ON shared.id = m.media_id AND shared.user_id <> c.user_id
+JOIN media own ON own.user_id = c.user_id AND own.sha256 = shared.sha256
+SET m.media_id = own.id;
+
+UPDATE media md
+LEFT JOIN (SELECT media_id, COUNT(*) AS refs
+           FROM messages
+           WHERE media_id IS NOT NULL
+           GROUP BY media_id) x ON x.media_id = md.id
+SET md.ref_count = COALESCE(x.refs, 0);
+
+-- rows left without an owner are unreferenced and go with the next media cleanup
+ALTER TABLE media
+  ADD UNIQUE KEY unique_user_media (user_id, sha256),
+  ADD INDEX idx_media_sha256 (sha256),
+  ADD FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
@@ -0,0 +1,4 @@
+-- Deleted messages stored since 004 with an empty text: no text at all (NULL), as imports now store them
+USE whatsapp_viewer;
+
+UPDATE messages SET content = NULL WHERE is_deleted = 1 AND content = '';
@@ -10,6 +10,8 @@ CREATE TABLE IF NOT EXISTS users (
   id INT AUTO_INCREMENT PRIMARY KEY,
   username VARCHAR(100) NOT NULL UNIQUE,
   password_hash VARCHAR(255) NOT NULL,
+  timezone VARCHAR(64), -- IANA zone used for imports when the upload does not name one
+  me_author VARCHAR(191), -- canonical author for the user's own messages (NULL = "You"); see me_authors
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 ) ENGINE=InnoDB;
 
@@ -18,6 +20,7 @@ CREATE TABLE IF NOT EXISTS chats (
   id INT AUTO_INCREMENT PRIMARY KEY,
   user_id INT NOT NULL,
   name VARCHAR(255),
+  data_version INT NOT NULL DEFAULT 0, -- bumped whenever the chat's messages change (import, merge, backfill)
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB;
@@ -31,20 +34,197 @@ CREATE TABLE IF NOT EXISTS chat_participants (
   UNIQUE KEY chat_participant_unique (chat_id, name)
 ) ENGINE=InnoDB;
 
+-- People behind author strings, per app user: many author names / phone numbers -> one contact
+CREATE TABLE IF NOT EXISTS contacts (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  display_name VARCHAR(191) NOT NULL,
+  name_source ENUM('author','vcard','user') NOT NULL DEFAULT 'author', -- vCard imports never replace a 'user' name
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS contact_aliases (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  contact_id INT NOT NULL,
+  kind ENUM('author','phone') NOT NULL,
+  value VARCHAR(191) NOT NULL, -- match key: normalized author string ("tel:<digits>" for numbers) or phone digits
+  label VARCHAR(191), -- as first seen, for display
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (contact_id) REFERENCES contacts(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_contact_alias (user_id, kind, value),
+  INDEX idx_contact_aliases_contact (contact_id)
+) ENGINE=InnoDB;
+
+-- Author strings that are the user themselves ("You", their own name), stored as users.me_author on import
+CREATE TABLE IF NOT EXISTS me_authors (
+  id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  chat_id INT, -- NULL = every chat
+  value VARCHAR(191) NOT NULL, -- match key, as contact_aliases.value
+  label VARCHAR(191) NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_me_author (user_id, chat_id, value) -- global rows (chat_id NULL) are de-duplicated by the app
+) ENGINE=InnoDB;
+
+-- Media files, content-addressed: one row per user and distinct SHA-256, shared by every message of
+-- that user that references it across chats. Users with the same file share it on disk.
+CREATE TABLE IF NOT EXISTS media (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT, -- NULL only for rows already unreferenced when media became per user (pruned)
+  sha256 CHAR(64) NOT NULL,
+  size BIGINT NOT NULL,
+  mime_type VARCHAR(127) NOT NULL,
+  width INT, -- as displayed (EXIF rotation / video rotation applied)
+  height INT,
+  duration_ms INT, -- audio / video, from the container headers
+  captured_at DATETIME, -- EXIF capture time: UTC when captured_offset is known, else the camera's wall time
+  captured_offset SMALLINT, -- minutes
+  thumbnails JSON, -- { "small": { "width", "height" }, "medium": ... }; files under thumbs/ab/cd/<sha256>-<size>.jpg
+  storage_path VARCHAR(512) NOT NULL, -- relative to UPLOAD_ROOT: media/ab/cd/<sha256>.<ext>
+  original_name VARCHAR(255),
+  ref_count INT NOT NULL DEFAULT 0, -- number of messages pointing at this row
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_user_media (user_id, sha256),
+  INDEX idx_media_sha256 (sha256)
+) ENGINE=InnoDB;
+
 -- Messages
 CREATE TABLE IF NOT EXISTS messages (
   id BIGINT AUTO_INCREMENT PRIMARY KEY,
   chat_id INT NOT NULL,
   author VARCHAR(191),
-  content TEXT,
-  timestamp DATETIME,
-  type ENUM('text','image','video','audio','pdf','file') DEFAULT 'text',
-  media_path VARCHAR(512),
+  content TEXT, -- NULL for deleted messages (is_deleted)
+  timestamp DATETIME, -- UTC
+  tz_offset SMALLINT, -- sender's UTC offset in minutes at that time (NULL = unknown, treated as UTC)
+  type ENUM('text','image','video','audio','pdf','file','system','location','contact','poll') DEFAULT 'text',
+  media_id BIGINT,
+  payload JSON, -- structured data for location / contact / poll messages
+  is_deleted TINYINT(1) NOT NULL DEFAULT 0, -- "This message was deleted"
+  is_edited TINYINT(1) NOT NULL DEFAULT 0, -- "<This message was edited>"
+  media_omitted TINYINT(1) NOT NULL DEFAULT 0, -- exported without media ("<Media omitted>", "image omitted")
+  media_kind VARCHAR(16), -- image, video, audio, sticker, gif, document, contact (NULL = unknown / none); set even when the file was missing
+  fingerprint CHAR(64), -- sha256 of author + UTC minute + body (src/utils/fingerprint.js)
+  fp_seq SMALLINT NOT NULL DEFAULT 0, -- ordinal among identical messages (same fingerprint)
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+  FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE SET NULL,
   -- Prevent duplicates when importing again
-  UNIQUE KEY unique_message (chat_id, author, timestamp, content(255))
+  UNIQUE KEY unique_message_fingerprint (chat_id, fingerprint, fp_seq),
+  INDEX idx_messages_chat_author (chat_id, author)
+) ENGINE=InnoDB;
+
+-- Group timeline parsed from system messages (membership, subject, icon changes...)
+CREATE TABLE IF NOT EXISTS chat_events (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  chat_id INT NOT NULL,
+  message_id BIGINT NOT NULL,
+  kind VARCHAR(32) NOT NULL, -- group_created, member_added, member_left, subject_changed, icon_changed, ...
+  actor VARCHAR(191),
+  targets JSON,
+  value VARCHAR(512), -- e.g. new subject
+  previous_value VARCHAR(512),
+  timestamp DATETIME, -- UTC, same as the message
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+  FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+  INDEX idx_chat_events_chat_time (chat_id, timestamp)
+) ENGINE=InnoDB;
+
+-- URLs shared in message content (GET /api/links, /api/chats/:id/links)
+CREATE TABLE IF NOT EXISTS message_links (
+  id BIGINT AUTO_INCREMENT PRIMARY KEY,
+  chat_id INT NOT NULL,
+  message_id BIGINT NOT NULL,
+  author VARCHAR(191),
+  url VARCHAR(2048) NOT NULL, -- normalized: lowercase host, no fragment / tracking params
+  domain VARCHAR(255) NOT NULL, -- host without "www."
+  timestamp DATETIME, -- UTC, same as the message
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE,
+  FOREIGN KEY (message_id) REFERENCES messages(id) ON DELETE CASCADE,
+  UNIQUE KEY unique_message_link (message_id, url(255)),
+  INDEX idx_message_links_chat_time (chat_id, timestamp),
+  INDEX idx_message_links_domain (domain)
+) ENGINE=InnoDB;
+
+-- Cached GET /api/chats/:id/stats results
+CREATE TABLE IF NOT EXISTS chat_stats_cache (
+  chat_id INT NOT NULL,
+  params_hash CHAR(64) NOT NULL, -- sha256 of the normalized query (date range, tz, stop words, top)
+  data_version INT NOT NULL, -- chats.data_version the stats were computed from
+  stats JSON NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (chat_id, params_hash),
+  FOREIGN KEY (chat_id) REFERENCES chats(id) ON DELETE CASCADE
+) ENGINE=InnoDB;
+
+-- Background imports (POST /api/upload/confirm, GET /api/jobs/:id)
+CREATE TABLE IF NOT EXISTS import_jobs (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  status ENUM('queued','running','completed','failed','cancelled') NOT NULL DEFAULT 'queued',
+  temp_path VARCHAR(512), -- the uploaded ZIP; NULL once completed or expired (no retry possible)
+  original_name VARCHAR(255),
+  options JSON NOT NULL, -- { parseOptions, timezone, onConflict, targets: { fileName: chatId | "new" | "skip" } }
+  progress JSON, -- checkpoint (file, message index, chats opened) and counters, saved with each committed batch
+  result JSON, -- import stats once completed
+  error TEXT,
+  attempts INT NOT NULL DEFAULT 0,
+  owner VARCHAR(128), -- server instance running the job
+  lease_expires_at TIMESTAMP NULL, -- renewed by the owner while running; past it, any instance takes over
+  cancel_requested TINYINT(1) NOT NULL DEFAULT 0, -- seen by the runner at its next checkpoint
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP NULL,
+  finished_at TIMESTAMP NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_import_jobs_status (status, finished_at)
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS upload_previews (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  storage_path VARCHAR(512) NOT NULL, -- the uploaded ZIP, inside PREVIEW_DIR
+  original_name VARCHAR(255),
+  file_names JSON NOT NULL, -- chat (.txt) files found in the ZIP
+  chats JSON, -- [{ fileName, nameGuess, messageCount, suggestedChatId }] for GET /api/upload/preview
+  parse_options JSON NOT NULL,
+  timezone VARCHAR(64) NOT NULL,
+  media_file_count INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_upload_previews_user (user_id, expires_at),
+  INDEX idx_upload_previews_expires (expires_at)
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS upload_sessions (
+  id CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  storage_path VARCHAR(512) NOT NULL, -- the file being assembled, inside PREVIEW_DIR
+  original_name VARCHAR(255),
+  size BIGINT NOT NULL,
+  chunk_size INT NOT NULL,
+  chunk_count INT NOT NULL,
+  sha256 CHAR(64), -- of the whole file, checked on completion when given
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL, -- pushed back by every chunk
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_upload_sessions_expires (expires_at)
+) ENGINE=InnoDB;
+
+CREATE TABLE IF NOT EXISTS upload_chunks (
+  upload_id CHAR(36) NOT NULL,
+  chunk_index INT NOT NULL,
+  sha256 CHAR(64) NOT NULL,
+  received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (upload_id, chunk_index),
+  FOREIGN KEY (upload_id) REFERENCES upload_sessions(id) ON DELETE CASCADE
 ) ENGINE=InnoDB;
 
 -- Helpful indexes
 CREATE INDEX idx_messages_chat_time ON messages (chat_id, timestamp);
+
+-- Global search (GET /api/search)
+CREATE FULLTEXT INDEX ft_messages_content ON messages (content);
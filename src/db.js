@@ -8,11 +8,41 @@ export const pool = mysql.createPool({
   database: process.env.MYSQL_DATABASE,
   multipleStatements: false,
   connectionLimit: 10,
-  charset: 'utf8mb4'
+  charset: 'utf8mb4',
+  // DATETIME columns hold UTC; read and write them as such regardless of the server's local zone
+  timezone: 'Z'
 });
+
+// TIMESTAMP columns (created_at, expires_at, ...) are converted by the session time_zone; make it UTC
+// too. Queued on the new connection ahead of whatever the caller runs on it; a connection that
+// could not be switched is dropped rather than left to skew timestamps.
+pool.on('connection', conn => {
+  conn.query("SET time_zone = '+00:00'", err => {
+    if (!err) return;
+    console.error('[DB] Could not set the session time zone:', err);
+    conn.destroy();
+  });
+});
+
+/** Run `fn(conn)` in a transaction on a pooled connection and return its result */
+export async function withTransaction(fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
 /**
  * Delete specific chats by id list for a user. ids should be an array of numbers.
- * Returns [result] same as pool.execute.
+ * Releases their media references first. Returns [result] same as pool.execute.
  */
 export async function deleteChatsByIdsForUser(userId, ids) {
   if (!Array.isArray(ids) || ids.length === 0) {
@@ -22,7 +52,46 @@ export async function deleteChatsByIdsForUser(userId, ids) {
 
   // Build placeholders safely
   const placeholders = ids.map(() => '?').join(',');
-  const sql = `DELETE FROM chats WHERE user_id = ? AND id IN (${placeholders})`;
-  const params = [userId, ...ids];
-  return pool.execute(sql, params);
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const [owned] = await conn.execute(`SELECT id FROM chats WHERE user_id = ? AND id IN (${placeholders})`, [userId, ...ids]);
+    await releaseChatMedia(conn, owned.map(r => r.id));
+    const result = await conn.execute(`DELETE FROM chats WHERE user_id = ? AND id IN (${placeholders})`, [userId, ...ids]);
+    await conn.commit();
+    return result;
+  } catch (e) {
+    await conn.rollback();
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Drop the media references held by the messages of these chats.
+ * Call before deleting the chats: FK cascades do not fire triggers, so ref counts are kept here.
+ */
+export async function releaseChatMedia(conn, chatIds) {
+  if (!chatIds.length) return;
+  const placeholders = chatIds.map(() => '?').join(',');
+  await conn.execute(
+    `UPDATE media md
+     JOIN (SELECT media_id, COUNT(*) AS refs
+           FROM messages
+           WHERE chat_id IN (${placeholders}) AND media_id IS NOT NULL
+           GROUP BY media_id) x ON x.media_id = md.id
+     SET md.ref_count = GREATEST(md.ref_count - x.refs, 0)`,
+    chatIds
+  );
+}
+
+/**
+ * Mark chats' message data as changed (import, merge, media backfill).
+ * Cached per-chat results (GET /api/chats/:id/stats) computed for an older version are ignored.
+ */
+export async function bumpChatDataVersion(conn, chatIds) {
+  if (!chatIds.length) return;
+  const placeholders = chatIds.map(() => '?').join(',');
+  await conn.execute(`UPDATE chats SET data_version = data_version + 1 WHERE id IN (${placeholders})`, chatIds);
 }
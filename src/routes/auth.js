@@ -1,8 +1,11 @@
 import { Router } from 'express';
-import { pool } from '../db.js';
+import { pool, withTransaction } from '../db.js';
 import { auth } from '../middleware/auth.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { isValidTimeZone } from '../utils/time.js';
+import { authorKey, cleanAuthor } from '../utils/contacts.js';
+import { DEFAULT_ME_AUTHOR, loadMe, normalizeMyAuthors } from '../utils/me.js';
 
 const router = Router();
 
@@ -83,4 +86,53 @@ router.post('/logout', auth, async (_req, res) => {
     res.json({ ok: true });
   });
 
+/** GET /api/me (auth) - current user and account settings */
+router.get('/me', auth, async (req, res) => {
+  const [rows] = await pool.execute('SELECT id, username, timezone, me_author, created_at FROM users WHERE id = ?', [req.user.id]);
+  const user = rows[0];
+  if (!user) return res.status(404).json({ error: 'user not found' });
+  const { me_author: meAuthor, ...rest } = user;
+  res.json({ ...rest, meAuthor: meAuthor || DEFAULT_ME_AUTHOR });
+});
+
+/**
+ * PATCH /api/me {timezone?, meAuthor?} (auth)
+ * timezone is an IANA name (e.g. "Asia/Kolkata") or null to clear.
+ * meAuthor is the author the user's own messages are stored as (default "You"); changing it
+ * rewrites them in every chat and keeps the previous name declared as "me".
+ */
+router.patch('/me', auth, async (req, res) => {
+  const userId = req.user.id;
+  const { timezone, meAuthor } = req.body || {};
+  if (timezone === undefined && meAuthor === undefined) return res.status(400).json({ error: 'nothing to update' });
+  if (timezone !== undefined && timezone !== null && !isValidTimeZone(timezone)) return res.status(400).json({ error: 'invalid timezone' });
+  const me = meAuthor === undefined ? undefined : cleanAuthor(meAuthor).slice(0, 191);
+  if (me === '') return res.status(400).json({ error: 'invalid meAuthor' });
+
+  if (timezone !== undefined) await pool.execute('UPDATE users SET timezone = ? WHERE id = ?', [timezone, userId]);
+
+  let normalized;
+  if (me !== undefined) {
+    normalized = await withTransaction(async conn => {
+      const { canonical } = await loadMe(conn, userId);
+      if (canonical === me) return null;
+      const [known] = await conn.execute(
+        'SELECT id FROM me_authors WHERE user_id = ? AND chat_id IS NULL AND value = ?',
+        [userId, authorKey(canonical)]
+      );
+      if (!known.length) {
+        await conn.execute(
+          'INSERT INTO me_authors (user_id, chat_id, value, label) VALUES (?, NULL, ?, ?)',
+          [userId, authorKey(canonical), canonical]
+        );
+      }
+      await conn.execute('UPDATE users SET me_author = ? WHERE id = ?', [me, userId]);
+      return normalizeMyAuthors(conn, userId);
+    });
+  }
+
+  const [rows] = await pool.execute('SELECT timezone, me_author FROM users WHERE id = ?', [userId]);
+  res.json({ ok: true, timezone: rows[0].timezone, meAuthor: rows[0].me_author || DEFAULT_ME_AUTHOR, ...normalized });
+});
+
 export default router;
@@ -1,9 +1,47 @@
 import { Router } from 'express';
-import { pool, deleteChatsByIdsForUser } from '../db.js';
+import { pool, deleteChatsByIdsForUser, releaseChatMedia, bumpChatDataVersion } from '../db.js';
 import { auth } from '../middleware/auth.js';
+import { isValidTimeZone, renderTimestamp, wallTimeToUtc, zoneOffsetMinutes, formatIso, constantOffsetRanges } from '../utils/time.js';
+import { resolveAuthors } from '../utils/contacts.js';
+import { normalizeMyAuthors } from '../utils/me.js';
 
 const router = Router();
 
+const NAME_KINDS = ['group_created', 'subject_changed'];
+
+/** Participant name -> { id, name } of the contact it resolves to, for names that have one */
+async function participantIdentities(userId, names) {
+  return Object.fromEntries(await resolveAuthors(pool, userId, names));
+}
+
+/** Load a chat's event timeline (oldest first), optionally limited to some kinds */
+async function loadEvents(chatId, kinds = null) {
+  let sql = `SELECT e.id, e.message_id, e.kind, e.actor, e.targets, e.value, e.previous_value, e.timestamp, m.tz_offset
+             FROM chat_events e
+             JOIN messages m ON m.id = e.message_id
+             WHERE e.chat_id = ?`;
+  const params = [chatId];
+  if (kinds && kinds.length) {
+    sql += ` AND e.kind IN (${kinds.map(() => '?').join(',')})`;
+    params.push(...kinds);
+  }
+  const [rows] = await pool.execute(`${sql} ORDER BY e.timestamp ASC, e.id ASC`, params);
+  return rows;
+}
+
+/** Group names over time, from "created group" / "changed the subject" events */
+function nameHistoryFrom(events, tz) {
+  return events
+    .filter(e => NAME_KINDS.includes(e.kind) && e.value)
+    .map(e => ({
+      name: e.value,
+      previous: e.previous_value,
+      changedBy: e.actor,
+      at: renderTimestamp(e.timestamp, { tz, offset: e.tz_offset }),
+      messageId: e.message_id
+    }));
+}
+
 /** GET /api/chats */
 router.get('/chats', auth, async (req, res) => {
   const userId = req.user.id;
@@ -30,6 +68,12 @@ router.get('/chats', auth, async (req, res) => {
       created_at: c.created_at
     });
   }
+
+  // One lookup for every chat's participants
+  const identities = await resolveAuthors(pool, userId, results.flatMap(c => c.participants));
+  for (const c of results) {
+    c.identities = Object.fromEntries(c.participants.filter(p => identities.has(p)).map(p => [p, identities.get(p)]));
+  }
   res.json(results);
 });
 
@@ -42,7 +86,148 @@ router.get('/chats/:id', auth, async (req, res) => {
   if (!chat) return res.status(404).json({ error: 'Chat not found' });
 
   const [parts] = await pool.execute('SELECT name FROM chat_participants WHERE chat_id = ?', [chatId]);
-  res.json({ ...chat, participants: parts.map(p => p.name) });
+  const nameEvents = await loadEvents(chatId, NAME_KINDS);
+  const participants = parts.map(p => p.name);
+  res.json({
+    ...chat,
+    participants,
+    identities: await participantIdentities(userId, participants),
+    nameHistory: nameHistoryFrom(nameEvents, null)
+  });
+});
+
+const MONTH_RE = /^\d{4}-(0[1-9]|1[0-2])$/;
+const YEAR_RE = /^\d{4}$/;
+
+/** First day of the month after "YYYY-MM" */
+function nextMonth(month) {
+  const [y, m] = month.split('-').map(Number);
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Calendar range from ?month=YYYY-MM, ?year=YYYY or ?from=YYYY-MM&to=YYYY-MM (inclusive months).
+ * Returns { firstMonth, endMonth (exclusive) }, null when none was given, or { error }.
+ */
+function calendarRange(query) {
+  if (query.month) {
+    if (!MONTH_RE.test(query.month)) return { error: 'month must be YYYY-MM (MM 01-12)' };
+    return { firstMonth: query.month, endMonth: nextMonth(query.month) };
+  }
+  if (query.year) {
+    if (!YEAR_RE.test(query.year)) return { error: 'year must be YYYY' };
+    return { firstMonth: `${query.year}-01`, endMonth: `${Number(query.year) + 1}-01` };
+  }
+  if (query.from || query.to) {
+    const from = query.from || query.to;
+    const to = query.to || query.from;
+    if (!MONTH_RE.test(from) || !MONTH_RE.test(to)) return { error: 'from / to must be YYYY-MM (MM 01-12)' };
+    if (from > to) return { error: 'from must not be after to' };
+    return { firstMonth: from, endMonth: nextMonth(to) };
+  }
+  return null;
+}
+
+/**
+ * GET /api/chats/:id/calendar?month=2025-07 | year=2025 | from=2024-11&to=2025-02 &tz=...
+ * Messages per day for a "jump to date" calendar: [{ date, count, firstId, lastId }] for days with messages.
+ * Days are local to ?tz= (default: the account timezone, else UTC). Without a range, the month of the
+ * latest message is returned. bounds gives the chat's first and last message dates for navigation.
+ * Counted per day straight from idx_messages_chat_time (chat_id, timestamp, and the id it carries).
+ */
+router.get('/chats/:id/calendar', auth, async (req, res) => {
+  const userId = req.user.id;
+  const chatId = Number(req.params.id);
+
+  const [own] = await pool.execute('SELECT id FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+  if (!own.length) return res.status(404).json({ error: 'Chat not found' });
+
+  let tz = req.query.tz || null;
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
+  if (!tz) {
+    const [users] = await pool.execute('SELECT timezone FROM users WHERE id = ?', [userId]);
+    tz = users[0]?.timezone || 'UTC';
+  }
+
+  const [boundRows] = await pool.execute(
+    'SELECT MIN(timestamp) AS first_ts, MAX(timestamp) AS last_ts FROM messages WHERE chat_id = ? AND timestamp IS NOT NULL',
+    [chatId]
+  );
+  const localDate = date => (date ? formatIso(date, zoneOffsetMinutes(date, tz)).slice(0, 10) : null);
+  const bounds = { first: localDate(boundRows[0].first_ts), last: localDate(boundRows[0].last_ts) };
+
+  let range = calendarRange(req.query);
+  if (range?.error) return res.status(400).json({ error: range.error });
+  if (!range) {
+    if (!bounds.last) return res.json({ tz, from: null, to: null, days: [], bounds });
+    const month = bounds.last.slice(0, 7);
+    range = { firstMonth: month, endMonth: nextMonth(month) };
+  }
+
+  const start = wallTimeToUtc(`${range.firstMonth}-01 00:00:00`, tz).utc;
+  const end = wallTimeToUtc(`${range.endMonth}-01 00:00:00`, tz).utc;
+
+  // One grouped query per stretch with a constant UTC offset (DST splits a year into ~3)
+  const days = new Map();
+  for (const part of constantOffsetRanges(start, end, tz)) {
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(DATE_ADD(timestamp, INTERVAL ? MINUTE), '%Y-%m-%d') AS day,
+              COUNT(*) AS count,
+              SUBSTRING_INDEX(GROUP_CONCAT(id ORDER BY timestamp, id), ',', 1) AS first_id,
+              SUBSTRING_INDEX(GROUP_CONCAT(id ORDER BY timestamp DESC, id DESC), ',', 1) AS last_id
+       FROM messages USE INDEX (idx_messages_chat_time)
+       WHERE chat_id = ? AND timestamp >= ? AND timestamp < ?
+       GROUP BY day
+       ORDER BY day`,
+      [part.offset, chatId, part.start, part.end]
+    );
+    for (const r of rows) {
+      const day = days.get(r.day);
+      if (day) {
+        // a DST change splits this day over two parts; parts come in time order
+        day.count += Number(r.count);
+        day.lastId = Number(r.last_id);
+      } else {
+        days.set(r.day, { date: r.day, count: Number(r.count), firstId: Number(r.first_id), lastId: Number(r.last_id) });
+      }
+    }
+  }
+
+  // "to" is the last day of the range
+  const lastDay = new Date(Date.parse(`${range.endMonth}-01T00:00:00Z`) - 86400000).toISOString().slice(0, 10);
+  res.json({ tz, from: `${range.firstMonth}-01`, to: lastDay, days: [...days.values()], bounds });
+});
+
+/**
+ * GET /api/chats/:id/events?kind=member_added,subject_changed&tz=...
+ * Group timeline parsed from system messages: membership, subject, icon, description changes.
+ * nameHistory lists the group's names over time.
+ */
+router.get('/chats/:id/events', auth, async (req, res) => {
+  const userId = req.user.id;
+  const chatId = Number(req.params.id);
+  const tz = req.query.tz || null;
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
+
+  const [own] = await pool.execute('SELECT id FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+  if (!own.length) return res.status(404).json({ error: 'Chat not found' });
+
+  const kinds = req.query.kind ? String(req.query.kind).split(',').map(k => k.trim()).filter(Boolean) : null;
+  const events = await loadEvents(chatId, kinds);
+
+  res.json({
+    events: events.map(e => ({
+      id: e.id,
+      messageId: e.message_id,
+      kind: e.kind,
+      actor: e.actor,
+      targets: e.targets || [],
+      value: e.value,
+      previous: e.previous_value,
+      timestamp: renderTimestamp(e.timestamp, { tz, offset: e.tz_offset })
+    })),
+    nameHistory: nameHistoryFrom(kinds ? await loadEvents(chatId, NAME_KINDS) : events, tz)
+  });
 });
 
 /** DELETE /api/chats/:id */
@@ -114,40 +299,46 @@ router.post('/chats/merge', auth, async (req, res) => {
       }
     }
 
-    // Move messages from source chats to target chat
-    // Use a temp approach to handle the UNIQUE KEY constraint:
-    // The unique key is (chat_id, author, timestamp, content(255))
-    // Some messages might already exist in the target — skip those
+    // Store every chat's "me" strings under the canonical author first, so the same message
+    // exported from two phones collides below instead of being kept twice
+    const { removedDuplicates } = await normalizeMyAuthors(conn, userId, chatIds);
+    for (const srcId of sourceIds) {
+      await conn.execute('UPDATE IGNORE me_authors SET chat_id = ? WHERE chat_id = ?', [targetId, srcId]);
+    }
+
+    // Move messages from source chats to target chat.
+    // UPDATE IGNORE keeps message ids, so rows keyed on them (chat_events, message_links) stay attached.
+    // Rows colliding with the UNIQUE KEY (chat_id, fingerprint, fp_seq) already
+    // exist in the target: they stay behind and go away with their source chat.
     let movedMessages = 0;
-    let skippedDuplicates = 0;
+    let skippedDuplicates = removedDuplicates;
 
     for (const srcId of sourceIds) {
-      const [srcMessages] = await conn.execute(
-        'SELECT author, content, timestamp, type, media_path FROM messages WHERE chat_id = ?',
+      const [moved] = await conn.execute('UPDATE IGNORE messages SET chat_id = ? WHERE chat_id = ?', [targetId, srcId]);
+      const [left] = await conn.execute('SELECT COUNT(*) as c FROM messages WHERE chat_id = ?', [srcId]);
+      movedMessages += moved.affectedRows;
+      skippedDuplicates += Number(left[0].c);
+
+      // Events and links follow their messages
+      await conn.execute(
+        `UPDATE chat_events e JOIN messages m ON m.id = e.message_id
+         SET e.chat_id = m.chat_id
+         WHERE e.chat_id = ?`,
+        [srcId]
+      );
+      await conn.execute(
+        `UPDATE message_links l JOIN messages m ON m.id = l.message_id
+         SET l.chat_id = m.chat_id
+         WHERE l.chat_id = ?`,
         [srcId]
       );
 
-      for (const m of srcMessages) {
-        try {
-          await conn.execute(
-            `INSERT INTO messages (chat_id, author, content, timestamp, type, media_path)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [targetId, m.author, m.content, m.timestamp, m.type, m.media_path]
-          );
-          movedMessages++;
-        } catch (e) {
-          if (e.code === 'ER_DUP_ENTRY') {
-            skippedDuplicates++;
-          } else {
-            throw e;
-          }
-        }
-      }
-
-      // Delete source chat (CASCADE will delete its messages and participants)
+      // Delete source chat (CASCADE will delete its leftover messages and participants)
+      await releaseChatMedia(conn, [srcId]);
       await conn.execute('DELETE FROM chats WHERE id = ?', [srcId]);
     }
 
+    await bumpChatDataVersion(conn, [targetId]);
     await conn.commit();
 
     console.log(`[Merge] Done: moved ${movedMessages} messages, skipped ${skippedDuplicates} duplicates, deleted ${sourceIds.length} source chats`);
@@ -164,6 +355,7 @@ router.post('/chats/merge', auth, async (req, res) => {
         id: targetId,
         name: mergedChat[0].name,
         participants: mergedParts.map(p => p.name),
+        identities: await participantIdentities(userId, mergedParts.map(p => p.name)),
         messageCount: Number(mergedCount[0].cnt),
         created_at: mergedChat[0].created_at
       },
@@ -199,7 +391,7 @@ router.delete('/chats/selected', auth, async (req, res) => {
 router.delete('/chats/:id', auth, async (req, res) => {
   const userId = req.user.id;
   const chatId = Number(req.params.id);
-  const [rows] = await pool.execute('DELETE FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+  const [rows] = await deleteChatsByIdsForUser(userId, [chatId]);
   if (rows.affectedRows === 0) return res.status(404).json({ error: 'Chat not found' });
   res.json({ ok: true });
 });
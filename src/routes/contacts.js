@@ -0,0 +1,256 @@
+import { Router } from 'express';
+import multer from 'multer';
+import fs from 'fs/promises';
+import { pool, withTransaction } from '../db.js';
+import { auth } from '../middleware/auth.js';
+import { clampLimit } from '../utils/pagination.js';
+import { parseVCards } from '../utils/vcard.js';
+import { authorKey, cleanAuthor, phoneDigits, mergeContacts, importVCards } from '../utils/contacts.js';
+
+const router = Router();
+const upload = multer({ dest: 'tmp/' });
+
+/** Contacts with their aliases, in the order of `ids` */
+async function loadContacts(userId, ids) {
+  if (!ids.length) return [];
+  const placeholders = ids.map(() => '?').join(',');
+  const [contacts] = await pool.execute(
+    `SELECT id, display_name, name_source, created_at FROM contacts WHERE user_id = ? AND id IN (${placeholders})`,
+    [userId, ...ids]
+  );
+  const [aliases] = await pool.execute(
+    `SELECT id, contact_id, kind, value, label FROM contact_aliases
+     WHERE user_id = ? AND contact_id IN (${placeholders}) ORDER BY id ASC`,
+    [userId, ...ids]
+  );
+  const byId = new Map(contacts.map(c => [c.id, {
+    id: c.id,
+    name: c.display_name,
+    nameSource: c.name_source,
+    authors: [],
+    phones: [],
+    created_at: c.created_at
+  }]));
+  for (const a of aliases) {
+    const contact = byId.get(a.contact_id);
+    if (!contact) continue;
+    const alias = { id: a.id, value: a.label || a.value };
+    if (a.kind === 'author') contact.authors.push(alias);
+    else contact.phones.push({ ...alias, digits: a.value });
+  }
+  return ids.map(id => byId.get(id)).filter(Boolean);
+}
+
+async function ownContact(userId, contactId) {
+  const [rows] = await pool.execute('SELECT id FROM contacts WHERE id = ? AND user_id = ?', [contactId, userId]);
+  return rows.length > 0;
+}
+
+/**
+ * GET /api/contacts?q=alice&all=true&limit=50&offset=0
+ * The people behind author strings, by name. Only contacts seen as an author in a chat are listed
+ * unless ?all=true (which adds address-book entries from vCard imports).
+ * ?q= matches the name, author strings and phone numbers.
+ */
+router.get('/contacts', auth, async (req, res) => {
+  const userId = req.user.id;
+  const limit = clampLimit(req.query.limit, 50, 500);
+  const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+  const all = req.query.all === 'true' || req.query.all === '1';
+
+  let where = 'WHERE c.user_id = ?';
+  const params = [userId];
+  if (!all) {
+    where += " AND EXISTS (SELECT 1 FROM contact_aliases a WHERE a.contact_id = c.id AND a.kind = 'author')";
+  }
+  const q = String(req.query.q || '').trim();
+  if (q) {
+    where += ` AND (c.display_name LIKE ? OR EXISTS (
+      SELECT 1 FROM contact_aliases a WHERE a.contact_id = c.id AND (a.label LIKE ? OR a.value LIKE ?)))`;
+    const digits = q.replace(/\D/g, '');
+    params.push(`%${q}%`, `%${q}%`, digits.length >= 3 ? `%${digits}%` : `%${q.toLowerCase()}%`);
+  }
+
+  // limit / offset are clamped integers, safe to inline
+  const [rows] = await pool.execute(
+    `SELECT c.id FROM contacts c ${where} ORDER BY c.display_name ASC, c.id ASC LIMIT ${limit + 1} OFFSET ${offset}`,
+    params
+  );
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+
+  res.json({
+    items: await loadContacts(userId, rows.map(r => r.id)),
+    hasMore,
+    nextOffset: hasMore ? offset + limit : null
+  });
+});
+
+/** GET /api/contacts/:id */
+router.get('/contacts/:id', auth, async (req, res) => {
+  const [contact] = await loadContacts(req.user.id, [Number(req.params.id)]);
+  if (!contact) return res.status(404).json({ error: 'Contact not found' });
+  res.json(contact);
+});
+
+/**
+ * PATCH /api/contacts/:id  { name }
+ * Rename a contact. A name set here is kept when a vCard import later matches the contact.
+ */
+router.patch('/contacts/:id', auth, async (req, res) => {
+  const userId = req.user.id;
+  const contactId = Number(req.params.id);
+  const name = cleanAuthor(req.body?.name);
+  if (!name) return res.status(400).json({ error: 'name required' });
+
+  const [result] = await pool.execute(
+    "UPDATE contacts SET display_name = ?, name_source = 'user' WHERE id = ? AND user_id = ?",
+    [name.slice(0, 191), contactId, userId]
+  );
+  if (!result.affectedRows) return res.status(404).json({ error: 'Contact not found' });
+
+  const [contact] = await loadContacts(userId, [contactId]);
+  res.json(contact);
+});
+
+/**
+ * POST /api/contacts/:id/merge  { contactIds: [2, 3] }
+ * Merge other contacts into this one: their author strings and numbers now resolve to it.
+ * The target keeps its name.
+ */
+router.post('/contacts/:id/merge', auth, async (req, res) => {
+  const userId = req.user.id;
+  const targetId = Number(req.params.id);
+  const { contactIds } = req.body || {};
+  if (!Array.isArray(contactIds) || !contactIds.length) return res.status(400).json({ error: 'contactIds array required' });
+
+  const sourceIds = [...new Set(contactIds.map(Number))].filter(id => id && id !== targetId);
+  if (!sourceIds.length) return res.status(400).json({ error: 'contactIds must name other contacts' });
+  if (!(await ownContact(userId, targetId))) return res.status(404).json({ error: 'Contact not found' });
+
+  const [owned] = await pool.execute(
+    `SELECT id FROM contacts WHERE user_id = ? AND id IN (${sourceIds.map(() => '?').join(',')})`,
+    [userId, ...sourceIds]
+  );
+  if (owned.length !== sourceIds.length) return res.status(404).json({ error: 'Some contacts were not found' });
+
+  const merged = await withTransaction(conn => mergeContacts(conn, userId, targetId, sourceIds));
+  console.log(`[Contacts] Merged ${merged} contacts into ${targetId} for user ${userId}`);
+
+  const [contact] = await loadContacts(userId, [targetId]);
+  res.json({ ok: true, merged, contact });
+});
+
+/**
+ * POST /api/contacts/:id/aliases  { author } | { phone }
+ * Attach an author string or phone number to this contact, moving it from the contact it belonged to.
+ * Contacts left without any alias are deleted.
+ */
+router.post('/contacts/:id/aliases', auth, async (req, res) => {
+  const userId = req.user.id;
+  const contactId = Number(req.params.id);
+  const { author, phone } = req.body || {};
+
+  let kind;
+  let value;
+  let label;
+  if (author) {
+    kind = 'author';
+    value = authorKey(author);
+    label = cleanAuthor(author);
+  } else if (phone) {
+    kind = 'phone';
+    value = phoneDigits(phone);
+    label = cleanAuthor(phone);
+  }
+  if (!value) return res.status(400).json({ error: 'author or phone (a phone number) required' });
+  if (!(await ownContact(userId, contactId))) return res.status(404).json({ error: 'Contact not found' });
+
+  await withTransaction(async conn => {
+    const [existing] = await conn.execute(
+      'SELECT id, contact_id FROM contact_aliases WHERE user_id = ? AND kind = ? AND value = ?',
+      [userId, kind, value]
+    );
+    if (!existing.length) {
+      await conn.execute(
+        'INSERT INTO contact_aliases (user_id, contact_id, kind, value, label) VALUES (?, ?, ?, ?, ?)',
+        [userId, contactId, kind, value, label.slice(0, 191)]
+      );
+      return;
+    }
+    const previousId = existing[0].contact_id;
+    if (previousId === contactId) return;
+    await conn.execute('UPDATE contact_aliases SET contact_id = ? WHERE id = ?', [contactId, existing[0].id]);
+    await conn.execute(
+      'DELETE FROM contacts WHERE id = ? AND NOT EXISTS (SELECT 1 FROM contact_aliases WHERE contact_id = ?)',
+      [previousId, previousId]
+    );
+  });
+
+  const [contact] = await loadContacts(userId, [contactId]);
+  res.json(contact);
+});
+
+/**
+ * DELETE /api/contacts/:id/aliases/:aliasId
+ * Detach an alias. A detached author string becomes a contact of its own (undoing a wrong merge);
+ * a detached phone number is forgotten.
+ */
+router.delete('/contacts/:id/aliases/:aliasId', auth, async (req, res) => {
+  const userId = req.user.id;
+  const contactId = Number(req.params.id);
+  const aliasId = Number(req.params.aliasId);
+
+  const [rows] = await pool.execute(
+    'SELECT id, kind, value, label FROM contact_aliases WHERE id = ? AND contact_id = ? AND user_id = ?',
+    [aliasId, contactId, userId]
+  );
+  const alias = rows[0];
+  if (!alias) return res.status(404).json({ error: 'Alias not found' });
+
+  let detachedTo = null;
+  if (alias.kind === 'author') {
+    const [authors] = await pool.execute(
+      "SELECT COUNT(*) AS cnt FROM contact_aliases WHERE contact_id = ? AND kind = 'author'",
+      [contactId]
+    );
+    if (Number(authors[0].cnt) < 2) return res.status(400).json({ error: 'The only author string of a contact cannot be detached' });
+
+    detachedTo = await withTransaction(async conn => {
+      const [result] = await conn.execute(
+        "INSERT INTO contacts (user_id, display_name, name_source) VALUES (?, ?, 'author')",
+        [userId, alias.label || alias.value]
+      );
+      await conn.execute('UPDATE contact_aliases SET contact_id = ? WHERE id = ?', [result.insertId, aliasId]);
+      return result.insertId;
+    });
+  } else {
+    await pool.execute('DELETE FROM contact_aliases WHERE id = ?', [aliasId]);
+  }
+
+  const [contact] = await loadContacts(userId, [contactId]);
+  res.json({ contact, detachedTo });
+});
+
+/**
+ * POST /api/contacts/import  (multipart, field "vcf")
+ * Import an address book (.vcf). Numbers in it resolve to the card's name: author strings that are
+ * phone numbers, and contacts holding the same number, take the name (unless renamed by the user).
+ */
+router.post('/contacts/import', auth, upload.single('vcf'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'vcf file required' });
+  const userId = req.user.id;
+
+  try {
+    const cards = parseVCards(await fs.readFile(req.file.path, 'utf8'));
+    if (!cards.length) return res.status(400).json({ error: 'no contacts found in the file' });
+
+    const stats = await withTransaction(conn => importVCards(conn, userId, cards));
+    console.log(`[Contacts] vCard import for user ${userId}:`, stats);
+    res.json(stats);
+  } finally {
+    await fs.unlink(req.file.path).catch(() => { });
+  }
+});
+
+export default router;
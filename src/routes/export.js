@@ -0,0 +1,171 @@
+import { Router } from 'express';
+import { Readable } from 'stream';
+import path from 'path';
+import fs from 'fs';
+import JSZip from 'jszip';
+import { pool } from '../db.js';
+import { auth } from '../middleware/auth.js';
+import { isValidTimeZone, zoneOffsetMinutes, dateRangeCondition } from '../utils/time.js';
+import { safeName } from '../utils/file.js';
+import { mediaFilePath } from '../utils/mediaStore.js';
+import { iterateMessages } from '../utils/messageIterator.js';
+import { EXPORT_FORMATS, createExportWriter } from '../utils/exportFormats.js';
+
+const router = Router();
+
+const EXPORT_COLUMNS = `m.id, m.author, m.content, m.timestamp, m.tz_offset, m.type, m.payload,
+  m.is_deleted, m.is_edited, m.media_omitted, m.media_kind,
+  md.storage_path, md.mime_type AS media_mime, md.size AS media_size, md.original_name AS media_original_name`;
+
+/** The export document as a stream of text chunks: header, one chunk per message, footer */
+async function* renderExport(writer, chat, where, params) {
+  yield writer.header(chat);
+  const rows = iterateMessages({ columns: EXPORT_COLUMNS, joins: 'LEFT JOIN media md ON md.id = m.media_id', where, params });
+  for await (const msg of rows) {
+    // file name inside the HTML archive: the content-addressed name, unique per file
+    msg.media_name = msg.storage_path ? path.posix.basename(msg.storage_path) : null;
+    const chunk = writer.row(msg);
+    if (chunk) yield chunk;
+  }
+  yield writer.footer();
+}
+
+/** Wait until `res` takes more data: true on 'drain', false when the client went away first */
+function drained(res) {
+  return new Promise(resolve => {
+    const done = ok => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      resolve(ok);
+    };
+    const onDrain = () => done(true);
+    const onClose = () => done(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+  });
+}
+
+/** A file stream that is only opened once the ZIP writer starts reading it; kept in `open` while it is */
+function lazyFileStream(filePath, open) {
+  return Readable.from((async function* () {
+    const file = fs.createReadStream(filePath);
+    open.add(file);
+    try {
+      yield* file;
+    } finally {
+      open.delete(file);
+    }
+  })());
+}
+
+/**
+ * GET /api/chats/:id/export?format=txt|json|csv|html&from=...&to=...&author=...&tz=...&dateOrder=DMY|MDY
+ * Streams the chat as a download.
+ *   txt  – WhatsApp export layout ("[24/07/2025, 18:30:12] Name: text"); parses back with parseWhatsAppText
+ *   json – { chat, messages: [...] }
+ *   csv  – one row per message
+ *   html – ZIP with a standalone chat.html and the referenced files under media/
+ * Timestamps are rendered in ?tz= or at each sender's original offset; naive from/to dates use ?tz=,
+ * and a date-only `to` includes that whole day.
+ */
+router.get('/chats/:id/export', auth, async (req, res) => {
+  const userId = req.user.id;
+  const chatId = Number(req.params.id);
+  const format = req.query.format || 'txt';
+  const tz = req.query.tz || null;
+  const dateOrder = (req.query.dateOrder || 'DMY').toUpperCase();
+
+  if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
+  if (!['DMY', 'MDY'].includes(dateOrder)) return res.status(400).json({ error: 'dateOrder must be DMY or MDY' });
+
+  const [chats] = await pool.execute('SELECT id, name FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+  const chat = chats[0];
+  if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+  let where = 'WHERE m.chat_id = ?';
+  const params = [chatId];
+  if (req.query.author) {
+    const authors = String(req.query.author).split(',');
+    where += ` AND m.author IN (${authors.map(() => '?').join(',')})`;
+    params.push(...authors);
+  }
+  const dates = dateRangeCondition(req.query, 'm.timestamp', tz);
+  if (dates.error) return res.status(400).json({ error: dates.error });
+  where += dates.sql;
+  params.push(...dates.params);
+
+  const writer = createExportWriter(format, {
+    dateOrder,
+    tzOffsetFor: tz ? date => zoneOffsetMinutes(date, tz) : null
+  });
+  const baseName = safeName(chat.name || `chat-${chat.id}`) || `chat-${chat.id}`;
+  console.log(`[Export] Chat ${chatId} as ${format} for user ${userId}`);
+
+  if (format !== 'html') {
+    res.attachment(`${baseName}.${writer.extension}`);
+    // express sets the type from the file name in attachment(); keep the charset
+    res.set('Content-Type', writer.contentType);
+
+    try {
+      // leaving the loop early stops querying further batches
+      for await (const chunk of renderExport(writer, chat, where, params)) {
+        if (res.destroyed) return; // client went away
+        if (!res.write(chunk) && !(await drained(res))) return;
+      }
+      return res.end();
+    } catch (e) {
+      if (!res.headersSent) throw e;
+      // the download has started: all that is left is to cut it short
+      console.error(`[Export] Chat ${chatId} export failed:`, e);
+      return res.destroy(e);
+    }
+  }
+
+  // HTML archive: chat.html is rendered while the ZIP is written; files are read one at a time
+  const zip = new JSZip();
+  const root = zip.folder(baseName);
+  const sources = [Readable.from(renderExport(writer, chat, where, params))];
+  const openFiles = new Set();
+  root.file('chat.html', sources[0]);
+
+  const [files] = await pool.execute(
+    `SELECT DISTINCT md.storage_path
+     FROM messages m
+     JOIN media md ON md.id = m.media_id
+     ${where}`,
+    params
+  );
+  for (const f of files) {
+    const filePath = mediaFilePath(f.storage_path);
+    if (!(await fs.promises.access(filePath).then(() => true, () => false))) {
+      console.warn(`[Export] Chat ${chatId}: media file missing, left out of the archive: ${f.storage_path}`);
+      continue;
+    }
+    const source = lazyFileStream(filePath, openFiles);
+    sources.push(source);
+    // media is already compressed
+    root.file(`media/${path.posix.basename(f.storage_path)}`, source, { compression: 'STORE' });
+  }
+
+  res.attachment(`${baseName}.zip`);
+  const stream = zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' });
+  // a paused archive would otherwise hold the message queries and open files forever
+  const abort = () => {
+    stream.unpipe(res);
+    for (const source of sources) source.destroy();
+    for (const file of openFiles) file.destroy();
+  };
+  res.on('close', () => {
+    if (!res.writableFinished) abort(); // client went away
+  });
+  stream.on('error', err => {
+    // the download has started: all that is left is to cut it short
+    console.error(`[Export] Chat ${chatId} archive failed:`, err);
+    abort();
+    res.destroy(err);
+  });
+  stream.pipe(res);
+});
+
+export default router;
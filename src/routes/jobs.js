@@ -0,0 +1,112 @@
+import { Router } from 'express';
+import { auth } from '../middleware/auth.js';
+import { verifyJobEventsSignature } from '../utils/jobUrl.js';
+import {
+  loadJob, serializeJob, watchJob, isFinished, cancelImportJob, retryImportJob
+} from '../utils/importJobs.js';
+
+const router = Router();
+
+// Comment lines sent on idle event streams so proxies don't close them
+const HEARTBEAT_MS = 15 * 1000;
+
+/** Accept either a valid ?exp&sig pair (the job's eventsUrl) or the usual Bearer token */
+function signedOrAuth(req, res, next) {
+  const { exp, sig } = req.query;
+  if (exp === undefined && sig === undefined) return auth(req, res, next);
+
+  const check = verifyJobEventsSignature(req.params.id, exp, sig);
+  if (check === 'expired') return res.status(403).json({ error: 'Link expired' });
+  if (check !== 'valid') return res.status(403).json({ error: 'Invalid signature' });
+  next();
+}
+
+/**
+ * GET /api/jobs/:id
+ * An import job (from POST /api/upload/confirm): status (queued, running, completed, failed,
+ * cancelled), progress { files, messages: { done, total }, currentFile, stats }, and once
+ * completed its result (the import stats with a per-file breakdown). eventsUrl is a signed URL of
+ * the event stream for EventSource, valid for a few minutes.
+ */
+router.get('/jobs/:id', auth, async (req, res) => {
+  const job = await loadJob(req.user.id, req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(serializeJob(job));
+});
+
+/**
+ * GET /api/jobs/:id/events  (Server-Sent Events; the job's signed eventsUrl works without the Authorization header)
+ * `status` events carry the job (as GET /api/jobs/:id) when its status changes, `progress` events
+ * its progress after every batch of messages. The stream ends once the job has finished.
+ */
+router.get('/jobs/:id/events', signedOrAuth, async (req, res) => {
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // registered first: the client may go away while the job is being read
+  let closed = false;
+  let heartbeat = null;
+  let stopWatching = null;
+  function close() {
+    closed = true;
+    stopWatching?.();
+    clearInterval(heartbeat);
+    res.end();
+  }
+  res.on('close', close);
+
+  const job = await loadJob(req.user?.id ?? null, req.params.id);
+  if (closed) return;
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  send('status', serializeJob(job));
+  if (isFinished(job.status)) return close();
+
+  heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  stopWatching = watchJob(job, ({ event, data }) => {
+    if (event === 'gone') return close();
+    send(event, data);
+    if (event === 'status' && isFinished(data.status)) close();
+  });
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * A queued job is cancelled at once; a running one stops after its current batch of messages.
+ * What was imported until then stays, and POST /retry continues from there.
+ */
+router.post('/jobs/:id/cancel', auth, async (req, res) => {
+  const job = await loadJob(req.user.id, req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (!(await cancelImportJob(job))) return res.status(409).json({ error: `Job already ${job.status}` });
+
+  console.log(`[Jobs] User ${req.user.id} cancelled job ${job.id}`);
+  res.status(202).json(serializeJob(await loadJob(req.user.id, job.id)));
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Queue a failed or cancelled job again. It resumes where it stopped; messages it already
+ * imported are not imported twice. The upload is kept for 24 hours after the job stopped.
+ */
+router.post('/jobs/:id/retry', auth, async (req, res) => {
+  const job = await loadJob(req.user.id, req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (!(await retryImportJob(job))) {
+    const error = isFinished(job.status) && job.status !== 'completed'
+      ? 'The upload of this job is no longer available. Please upload again.'
+      : `Only failed or cancelled jobs can be retried (job is ${job.status})`;
+    return res.status(409).json({ error });
+  }
+
+  console.log(`[Jobs] User ${req.user.id} retried job ${job.id}`);
+  res.status(202).json(serializeJob(await loadJob(req.user.id, job.id)));
+});
+
+export default router;
@@ -0,0 +1,130 @@
+import { Router } from 'express';
+import { pool } from '../db.js';
+import { auth } from '../middleware/auth.js';
+import { clampLimit } from '../utils/pagination.js';
+import { isValidTimeZone, renderTimestamp, dateRangeCondition } from '../utils/time.js';
+
+const router = Router();
+
+/**
+ * Build the WHERE clause shared by both link listings from ?domain=a.com,b.com&author=&from=&to=.
+ * Returns { where, params } or { error }.
+ */
+function linkFilters(query, tz, { userId, chatIds }) {
+  let where = 'WHERE c.user_id = ?';
+  const params = [userId];
+
+  if (chatIds) {
+    where += ` AND l.chat_id IN (${chatIds.map(() => '?').join(',')})`;
+    params.push(...chatIds);
+  }
+
+  if (query.domain) {
+    // "www.example.com" and "example.com" are stored as the same domain
+    const domains = String(query.domain).split(',').map(d => d.trim().toLowerCase().replace(/^www\./, '')).filter(Boolean);
+    if (!domains.length) return { error: 'invalid domain' };
+    where += ` AND l.domain IN (${domains.map(() => '?').join(',')})`;
+    params.push(...domains);
+  }
+
+  if (query.author) {
+    where += ' AND l.author = ?';
+    params.push(String(query.author));
+  }
+
+  const dates = dateRangeCondition(query, 'l.timestamp', tz);
+  if (dates.error) return { error: dates.error };
+  where += dates.sql;
+  params.push(...dates.params);
+
+  return { where, params };
+}
+
+/**
+ * List links (newest first) or, with ?groupBy=domain, per-domain counts (most shared first).
+ * limit/offset are clamped integers, safe to inline.
+ */
+async function listLinks(req, res, chatIds) {
+  const limit = clampLimit(req.query.limit);
+  const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+  const tz = req.query.tz || null;
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
+  if (req.query.groupBy && req.query.groupBy !== 'domain') return res.status(400).json({ error: 'groupBy must be domain' });
+
+  const { where, params, error } = linkFilters(req.query, tz, { userId: req.user.id, chatIds });
+  if (error) return res.status(400).json({ error });
+
+  if (req.query.groupBy === 'domain') {
+    const [rows] = await pool.execute(
+      `SELECT l.domain, COUNT(*) AS count, MIN(l.timestamp) AS first_shared, MAX(l.timestamp) AS last_shared
+       FROM message_links l
+       JOIN chats c ON c.id = l.chat_id
+       ${where}
+       GROUP BY l.domain
+       ORDER BY count DESC, l.domain ASC
+       LIMIT ${limit + 1} OFFSET ${offset}`,
+      params
+    );
+    const hasMore = rows.length > limit;
+    if (hasMore) rows.pop();
+
+    const groups = rows.map(r => ({
+      domain: r.domain,
+      count: Number(r.count),
+      firstSharedAt: renderTimestamp(r.first_shared, { tz }),
+      lastSharedAt: renderTimestamp(r.last_shared, { tz })
+    }));
+    return res.json({ groups, hasMore, nextOffset: hasMore ? offset + limit : null });
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT l.id, l.url, l.domain, l.message_id, l.chat_id, c.name AS chat_name, l.author, l.timestamp, m.tz_offset
+     FROM message_links l
+     JOIN chats c ON c.id = l.chat_id
+     JOIN messages m ON m.id = l.message_id
+     ${where}
+     ORDER BY l.timestamp DESC, l.id DESC
+     LIMIT ${limit + 1} OFFSET ${offset}`,
+    params
+  );
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+
+  const items = rows.map(r => ({
+    id: r.id,
+    url: r.url,
+    domain: r.domain,
+    messageId: r.message_id,
+    chatId: r.chat_id,
+    chatName: r.chat_name,
+    author: r.author,
+    timestamp: renderTimestamp(r.timestamp, { tz, offset: r.tz_offset })
+  }));
+  res.json({ items, hasMore, nextOffset: hasMore ? offset + limit : null });
+}
+
+/**
+ * GET /api/links?chatId=1,2&domain=youtube.com&author=...&from=2024-03-01&to=2024-03-31&tz=...&groupBy=domain
+ * Links shared across all of the user's chats. Open one in place with GET /api/messages/:messageId/context.
+ */
+router.get('/links', auth, async (req, res) => {
+  let chatIds = null;
+  if (req.query.chatId) {
+    chatIds = String(req.query.chatId).split(',').map(Number).filter(Boolean);
+    if (!chatIds.length) return res.status(400).json({ error: 'invalid chatId' });
+  }
+  await listLinks(req, res, chatIds);
+});
+
+/**
+ * GET /api/chats/:id/links?domain=...&author=...&from=...&to=...&tz=...&groupBy=domain
+ * Links shared in one chat; same filters and response as GET /api/links.
+ */
+router.get('/chats/:id/links', auth, async (req, res) => {
+  const chatId = Number(req.params.id);
+  const [own] = await pool.execute('SELECT id FROM chats WHERE id = ? AND user_id = ?', [chatId, req.user.id]);
+  if (!own.length) return res.status(404).json({ error: 'Chat not found' });
+  await listLinks(req, res, [chatId]);
+});
+
+export default router;
@@ -0,0 +1,75 @@
+import { Router } from 'express';
+import { pool, withTransaction } from '../db.js';
+import { auth } from '../middleware/auth.js';
+import { authorKey, cleanAuthor } from '../utils/contacts.js';
+import { loadMe, normalizeMyAuthors } from '../utils/me.js';
+
+const router = Router();
+
+/**
+ * GET /api/me/authors
+ * The author strings that are "me": global ones (chatId null) and per-chat ones.
+ * canonical is the author they are stored as (PATCH /api/me {meAuthor} changes it).
+ */
+router.get('/me/authors', auth, async (req, res) => {
+  const userId = req.user.id;
+  const { canonical } = await loadMe(pool, userId);
+  const [rows] = await pool.execute(
+    'SELECT id, chat_id, label FROM me_authors WHERE user_id = ? ORDER BY chat_id IS NOT NULL, chat_id, id',
+    [userId]
+  );
+  res.json({ canonical, authors: rows.map(r => ({ id: r.id, author: r.label, chatId: r.chat_id })) });
+});
+
+/**
+ * POST /api/me/authors  { author, chatId? }
+ * Declare an author string as "me", in one chat or (without chatId) in all of them.
+ * Existing messages are rewritten to the canonical author right away; copies of the same
+ * message imported from another device are removed.
+ */
+router.post('/me/authors', auth, async (req, res) => {
+  const userId = req.user.id;
+  const { author } = req.body || {};
+  const chatId = req.body?.chatId ? Number(req.body.chatId) : null;
+  const value = authorKey(author);
+  if (!value) return res.status(400).json({ error: 'author required' });
+
+  if (chatId) {
+    const [own] = await pool.execute('SELECT id FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+    if (!own.length) return res.status(404).json({ error: 'Chat not found' });
+  }
+
+  const result = await withTransaction(async conn => {
+    // unique_me_author does not cover chat_id NULL, so check first
+    const [existing] = await conn.execute(
+      'SELECT id FROM me_authors WHERE user_id = ? AND chat_id <=> ? AND value = ?',
+      [userId, chatId, value]
+    );
+    let id = existing[0]?.id;
+    if (!id) {
+      const [inserted] = await conn.execute(
+        'INSERT INTO me_authors (user_id, chat_id, value, label) VALUES (?, ?, ?, ?)',
+        [userId, chatId, value, cleanAuthor(author).slice(0, 191)]
+      );
+      id = inserted.insertId;
+    }
+    const normalized = await normalizeMyAuthors(conn, userId, chatId ? [chatId] : null);
+    return { id, ...normalized };
+  });
+
+  console.log(`[Me] User ${userId} declared "${author}" as me${chatId ? ` in chat ${chatId}` : ''}:`, result);
+  res.json({ id: result.id, author: cleanAuthor(author), chatId, renamedMessages: result.renamedMessages, removedDuplicates: result.removedDuplicates });
+});
+
+/**
+ * DELETE /api/me/authors/:id
+ * Stop treating an author string as "me" for future imports. Messages already stored under the
+ * canonical author stay there.
+ */
+router.delete('/me/authors/:id', auth, async (req, res) => {
+  const [result] = await pool.execute('DELETE FROM me_authors WHERE id = ? AND user_id = ?', [Number(req.params.id), req.user.id]);
+  if (!result.affectedRows) return res.status(404).json({ error: 'Not found' });
+  res.json({ ok: true });
+});
+
+export default router;
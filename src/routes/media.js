@@ -0,0 +1,342 @@
+import { Router } from 'express';
+import multer from 'multer';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import { pool, bumpChatDataVersion } from '../db.js';
+import { auth } from '../middleware/auth.js';
+import { openZip } from '../utils/zip.js';
+import { extractFilename, typeForFilename } from '../utils/parseWhatsApp.js';
+import { matchMediaFile, mediaNameHint } from '../utils/mediaMatch.js';
+import { saveMedia, releaseMedia, uploadRoot, thumbnailStoragePath, describeMedia } from '../utils/mediaStore.js';
+import { THUMBNAIL_SIZES } from '../utils/thumbnails.js';
+import { signedMediaUrl, verifyMediaSignature, secondsUntil } from '../utils/mediaUrl.js';
+import { formatIso, isValidTimeZone, renderTimestamp, dateRangeCondition } from '../utils/time.js';
+import { clampLimit, encodeCursor, decodeCursor, keysetCondition } from '../utils/pagination.js';
+import { parseVCards } from '../utils/vcard.js';
+
+const router = Router();
+const upload = multer({ dest: 'tmp/' });
+
+const MEDIA_TYPES = ['image', 'video', 'audio', 'pdf', 'file', 'contact'];
+// ?type= values accepted by the gallery
+const GALLERY_TYPES = ['image', 'video', 'audio', 'pdf', 'file'];
+// iOS media names carry the send time; allow for clock skew between the name and the message line
+const NAME_TIME_TOLERANCE_MS = 2 * 60 * 1000;
+
+/** Does a file of `hintKind` fit a message whose media kind is `mediaKind` (null = unknown)? */
+function kindCompatible(hintKind, mediaKind) {
+  if (!mediaKind || !hintKind) return true;
+  if (hintKind === mediaKind) return true;
+  // stickers are images, GIFs are sent as video
+  return (hintKind === 'sticker' && mediaKind === 'image') || (hintKind === 'gif' && mediaKind === 'video');
+}
+
+/** Accept either a valid ?exp&sig pair (signed URL) or the usual Bearer token */
+function signedOrAuth(req, res, next) {
+  const { exp, sig } = req.query;
+  if (exp === undefined && sig === undefined) return auth(req, res, next);
+
+  const check = verifyMediaSignature(Number(req.params.id), exp, sig);
+  if (check === 'expired') return res.status(403).json({ error: 'Link expired' });
+  if (check !== 'valid') return res.status(403).json({ error: 'Invalid signature' });
+  req.signedExp = Number(exp);
+  next();
+}
+
+/**
+ * Build filesMap (lowerBasename -> { path, stream(), read() }) from an uploaded ZIP and/or loose files.
+ * Files are only read when attached. Returns { filesMap, close } (close() releases the ZIP).
+ */
+async function collectFiles(req) {
+  const filesMap = new Map();
+  let close = () => { };
+  const zipFile = req.files?.zip?.[0];
+  if (zipFile) {
+    const archive = await openZip(zipFile.path);
+    for (const [key, value] of archive.filesMap) filesMap.set(key, value);
+    close = archive.close;
+  }
+  for (const f of req.files?.files || []) {
+    filesMap.set(f.originalname.toLowerCase(), {
+      path: f.originalname,
+      stream: () => createReadStream(f.path),
+      read: () => fs.readFile(f.path)
+    });
+  }
+  return { filesMap, close };
+}
+
+/**
+ * GET /api/chats/:id/media?type=image,video&author=...&from=...&to=...&order=desc&limit=50&cursor=...&tz=...
+ * Media gallery of a chat: messages with an attached file, newest first by default (?order=asc for oldest).
+ * Keyset pagination over (timestamp, id): pass nextCursor back as ?cursor= for the next page.
+ * Each item carries the message id/timestamp/author to jump to the message
+ * (GET /api/messages/:id/context), plus the file's size, MIME type, URLs and thumbnails.
+ */
+router.get('/chats/:id/media', auth, async (req, res) => {
+  const userId = req.user.id;
+  const chatId = Number(req.params.id);
+  const limit = clampLimit(req.query.limit);
+  const order = req.query.order === 'asc' ? 'ASC' : 'DESC';
+  const tz = req.query.tz || null;
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
+  if (req.query.order && !['asc', 'desc'].includes(req.query.order)) {
+    return res.status(400).json({ error: 'order must be asc or desc' });
+  }
+
+  const [own] = await pool.execute('SELECT id FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+  if (!own.length) return res.status(404).json({ error: 'Chat not found' });
+
+  let where = 'WHERE m.chat_id = ? AND m.media_id IS NOT NULL';
+  const params = [chatId];
+
+  if (req.query.type) {
+    const types = String(req.query.type).split(',');
+    if (types.some(t => !GALLERY_TYPES.includes(t))) {
+      return res.status(400).json({ error: `type must be one of: ${GALLERY_TYPES.join(', ')}` });
+    }
+    where += ` AND m.type IN (${types.map(() => '?').join(',')})`;
+    params.push(...types);
+  }
+
+  if (req.query.author) {
+    where += ' AND m.author = ?';
+    params.push(String(req.query.author));
+  }
+
+  const dates = dateRangeCondition(req.query, 'm.timestamp', tz);
+  if (dates.error) return res.status(400).json({ error: dates.error });
+  where += dates.sql;
+  params.push(...dates.params);
+
+  if (req.query.cursor) {
+    const pos = decodeCursor(req.query.cursor);
+    if (!pos) return res.status(400).json({ error: 'invalid cursor' });
+    const cond = keysetCondition(order === 'DESC' ? 'before' : 'after', pos, { alias: 'm.' });
+    where += ` AND ${cond.sql}`;
+    params.push(...cond.params);
+  }
+
+  // limit is a clamped integer, safe to inline
+  const [rows] = await pool.execute(
+    `SELECT m.id, m.author, m.timestamp, m.tz_offset, m.type,
+            md.id AS media_id, md.size, md.mime_type, md.width, md.height, md.duration_ms,
+            md.captured_at, md.captured_offset, md.thumbnails, md.original_name
+     FROM messages m
+     JOIN media md ON md.id = m.media_id
+     ${where}
+     ORDER BY m.timestamp ${order}, m.id ${order}
+     LIMIT ${limit + 1}`,
+    params
+  );
+
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+
+  const items = rows.map(r => ({
+    messageId: r.id,
+    timestamp: renderTimestamp(r.timestamp, { tz, offset: r.tz_offset }),
+    author: r.author,
+    type: r.type,
+    size: Number(r.size),
+    mime_type: r.mime_type,
+    media: describeMedia({ ...r, id: r.media_id })
+  }));
+
+  res.json({ items, nextCursor: hasMore && rows.length ? encodeCursor(rows[rows.length - 1]) : null });
+});
+
+// ─────────────────────────────────────────────────────────────
+// POST /api/chats/:id/media/backfill
+//   multipart: zip (a ZIP with media) and/or files[] (loose files)
+//   Attaches files to messages of this chat that have no media yet:
+//   by referenced filename (same matching as /upload/confirm), then
+//   "<Media omitted>" messages by the date/time in WhatsApp media names.
+// ─────────────────────────────────────────────────────────────
+router.post('/chats/:id/media/backfill', auth, upload.fields([{ name: 'zip', maxCount: 1 }, { name: 'files' }]), async (req, res) => {
+  const userId = req.user.id;
+  const chatId = Number(req.params.id);
+  const tempPaths = [...(req.files?.zip || []), ...(req.files?.files || [])].map(f => f.path);
+  let closeZip = () => { };
+
+  try {
+    const [own] = await pool.execute('SELECT id FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+    if (!own.length) return res.status(404).json({ error: 'Chat not found' });
+    if (!tempPaths.length) return res.status(400).json({ error: 'zip or files required' });
+
+    const { filesMap, close } = await collectFiles(req);
+    closeZip = close;
+    console.log(`[Backfill] Chat ${chatId}: ${filesMap.size} files received`);
+
+    const [rows] = await pool.execute(
+      `SELECT id, content, type, timestamp, tz_offset, media_kind, media_omitted
+       FROM messages
+       WHERE chat_id = ? AND media_id IS NULL
+         AND (media_omitted = 1 OR type IN (${MEDIA_TYPES.map(() => '?').join(',')}))
+       ORDER BY timestamp ASC, id ASC`,
+      [chatId, ...MEDIA_TYPES]
+    );
+
+    const report = { matched: [], ambiguous: [], unmatched: [] };
+    const usedFiles = new Set();
+
+    async function attach(msg, key) {
+      const file = filesMap.get(key);
+      const type = msg.media_omitted ? typeForFilename(key) : msg.type;
+      const payload = type === 'contact' ? JSON.stringify({ contacts: parseVCards((await file.read()).toString('utf8')) }) : null;
+
+      const media = await saveMedia(pool, userId, await file.stream(), key);
+      const [result] = await pool.execute(
+        `UPDATE messages
+         SET media_id = ?, type = ?, media_omitted = 0, payload = COALESCE(?, payload)
+         WHERE id = ? AND media_id IS NULL`,
+        [media.id, type, payload, msg.id]
+      );
+      // attached concurrently by someone else: give the reference back
+      if (!result.affectedRows) return releaseMedia(pool, media.id);
+
+      usedFiles.add(key);
+      report.matched.push({ messageId: msg.id, file: file.path, mediaId: media.id, media_path: signedMediaUrl(media.id) });
+    }
+
+    // Pass 1: messages that name their attachment
+    const omitted = [];
+    for (const msg of rows) {
+      const filename = msg.media_omitted ? null : extractFilename(msg.content);
+      if (!filename) {
+        omitted.push(msg);
+        continue;
+      }
+      const match = matchMediaFile(filesMap, filename);
+      if (match.status === 'matched') await attach(msg, match.key);
+      else if (match.status === 'ambiguous') report.ambiguous.push({ messageId: msg.id, filename, candidates: match.candidates });
+      else report.unmatched.push({ messageId: msg.id, filename });
+    }
+
+    // Pass 2: "<Media omitted>" messages, by the date (and time, on iOS) encoded in media filenames
+    const claims = new Map(); // messageId -> [file keys]
+    for (const key of filesMap.keys()) {
+      if (usedFiles.has(key)) continue;
+      const hint = mediaNameHint(key);
+      if (!hint) continue;
+
+      const candidates = omitted.filter(msg => {
+        if (!msg.timestamp || !kindCompatible(hint.kind, msg.media_kind)) return false;
+        const local = formatIso(msg.timestamp, msg.tz_offset ?? 0);
+        if (local.slice(0, 10) !== hint.date) return false;
+        if (!hint.time) return true;
+        const nameTime = Date.parse(`${hint.date}T${hint.time}Z`);
+        const msgTime = Date.parse(`${local.slice(0, 19)}Z`);
+        return Math.abs(nameTime - msgTime) <= NAME_TIME_TOLERANCE_MS;
+      });
+      if (candidates.length === 1) {
+        claims.set(candidates[0].id, [...(claims.get(candidates[0].id) || []), key]);
+      } else if (candidates.length > 1) {
+        report.ambiguous.push({ file: filesMap.get(key).path, candidates: candidates.map(c => c.id) });
+      }
+    }
+
+    for (const msg of omitted) {
+      const keys = claims.get(msg.id);
+      if (keys?.length === 1) await attach(msg, keys[0]);
+      else if (keys?.length > 1) report.ambiguous.push({ messageId: msg.id, candidates: keys.map(k => filesMap.get(k).path) });
+      else report.unmatched.push({ messageId: msg.id, filename: null });
+    }
+
+    // attached files can change a message's type
+    if (report.matched.length) await bumpChatDataVersion(pool, [chatId]);
+
+    const unusedFiles = [...filesMap.keys()].filter(k => !usedFiles.has(k)).map(k => filesMap.get(k).path);
+    console.log(`[Backfill] Chat ${chatId}: ${report.matched.length} matched, ${report.ambiguous.length} ambiguous, ${report.unmatched.length} unmatched`);
+    res.json({ ...report, unusedFiles });
+  } finally {
+    closeZip();
+    await Promise.all(tempPaths.map(p => fs.unlink(p).catch(() => { })));
+  }
+});
+
+/** Ownership check for Bearer-token access; signed URLs were already verified by signedOrAuth */
+async function canAccessMedia(req, mediaId) {
+  if (!req.user) return true;
+  const [own] = await pool.execute(
+    `SELECT 1 FROM messages m JOIN chats c ON c.id = m.chat_id
+     WHERE m.media_id = ? AND c.user_id = ? LIMIT 1`,
+    [mediaId, req.user.id]
+  );
+  return own.length > 0;
+}
+
+/** Types a browser may render inline from our origin; SVG is an image that can carry script */
+function isInlineType(mimeType) {
+  return /^(image|audio|video)\//.test(mimeType || '') && mimeType !== 'image/svg+xml';
+}
+
+/**
+ * Stream a stored file with Range / conditional GET support. Anything but plain image/audio/video
+ * (HTML, SVG, PDF, ...) is sent as a sandboxed download so it cannot run script on this origin.
+ */
+function sendStored(req, res, next, { storagePath, etag, mimeType, fileName = null }) {
+  if (!isInlineType(mimeType)) {
+    res.set('Content-Security-Policy', 'sandbox');
+    res.attachment(fileName || path.basename(storagePath));
+  }
+  // content-addressed: the hash is a strong validator for the lifetime of the file
+  res.set('ETag', `"${etag}"`);
+  res.set('Content-Type', mimeType);
+  res.set('X-Content-Type-Options', 'nosniff');
+  res.set('Cache-Control', req.user ? 'private, no-cache' : `private, max-age=${secondsUntil(req.signedExp)}`);
+
+  res.sendFile(storagePath, { root: path.resolve(uploadRoot()), cacheControl: false }, err => {
+    if (!err || res.headersSent) return;
+    if (err.code === 'ENOENT' || err.status === 404) return res.status(404).json({ error: 'Media file missing' });
+    next(err);
+  });
+}
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/media/:id[?exp&sig][&download=1]
+//   Serves a stored file. Access: a signed URL from the message APIs,
+//   or a Bearer token whose user has a message referencing this media.
+//   Supports Range requests (audio/video seeking), ETag and Last-Modified.
+//   Anything but image/audio/video (SVG included) is always a download.
+// ─────────────────────────────────────────────────────────────
+router.get('/media/:id', signedOrAuth, async (req, res, next) => {
+  const mediaId = Number(req.params.id);
+  if (!(await canAccessMedia(req, mediaId))) return res.status(404).json({ error: 'Media not found' });
+
+  const [rows] = await pool.execute(
+    'SELECT sha256, mime_type, storage_path, original_name FROM media WHERE id = ?',
+    [mediaId]
+  );
+  const media = rows[0];
+  if (!media) return res.status(404).json({ error: 'Media not found' });
+
+  const fileName = media.original_name || path.basename(media.storage_path);
+  if (req.query.download === '1') res.attachment(fileName);
+  sendStored(req, res, next, { storagePath: media.storage_path, etag: media.sha256, mimeType: media.mime_type, fileName });
+});
+
+// ─────────────────────────────────────────────────────────────
+// GET /api/media/:id/thumb/:size   (size: small | medium)
+//   JPEG thumbnail of an image; same access rules as the original.
+// ─────────────────────────────────────────────────────────────
+router.get('/media/:id/thumb/:size', signedOrAuth, async (req, res, next) => {
+  const mediaId = Number(req.params.id);
+  const { size } = req.params;
+  if (!THUMBNAIL_SIZES[size]) return res.status(400).json({ error: `size must be one of: ${Object.keys(THUMBNAIL_SIZES).join(', ')}` });
+  if (!(await canAccessMedia(req, mediaId))) return res.status(404).json({ error: 'Media not found' });
+
+  const [rows] = await pool.execute('SELECT sha256, thumbnails FROM media WHERE id = ?', [mediaId]);
+  const media = rows[0];
+  const thumbs = typeof media?.thumbnails === 'string' ? JSON.parse(media.thumbnails) : media?.thumbnails;
+  if (!thumbs?.[size]) return res.status(404).json({ error: 'Thumbnail not found' });
+
+  sendStored(req, res, next, {
+    storagePath: thumbnailStoragePath(media.sha256, size),
+    etag: `${media.sha256}-${size}`,
+    mimeType: 'image/jpeg'
+  });
+});
+
+export default router;
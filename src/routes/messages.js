@@ -1,14 +1,118 @@
 import { Router } from 'express';
 import { pool } from '../db.js';
 import { auth } from '../middleware/auth.js';
+import { clampLimit, encodeCursor, decodeCursor, keysetCondition } from '../utils/pagination.js';
+import { isValidTimeZone, renderTimestamp, parseDateInput } from '../utils/time.js';
+import { loadMediaByIds, describeMedia } from '../utils/mediaStore.js';
+import { resolveAuthors } from '../utils/contacts.js';
+import { loadMe } from '../utils/me.js';
 
 const router = Router();
 
-/** GET /api/chats/:id/messages?page=1&limit=50&search=... */
+const MESSAGE_COLUMNS = `id, author, content, timestamp, tz_offset, type, media_id, payload,
+  is_deleted, is_edited, media_omitted, media_kind`;
+
+// ?deleted= / ?edited= / ?media_omitted= filters (named like the response fields) -> column
+const FLAG_FILTERS = { deleted: 'is_deleted', edited: 'is_edited', media_omitted: 'media_omitted' };
+
+/**
+ * Shape message rows for the API: ISO-8601 timestamps in ?tz= or at the sender's original offset,
+ * boolean flags, the attached media with its metadata and thumbnails
+ * (media_path / thumbnail_path kept flat for older clients), the contact the author resolves to
+ * and isMine for the user's own messages.
+ */
+async function serializeMessages(rows, { tz, userId, chatId }) {
+  const media = await loadMediaByIds(rows.map(r => r.media_id));
+  const identities = await resolveAuthors(pool, userId, rows.map(r => r.author).filter(Boolean));
+  const me = await loadMe(pool, userId);
+  return rows.map(row => {
+    const {
+      tz_offset: offset, media_id: mediaId, is_deleted: deleted, is_edited: edited, media_omitted: mediaOmitted, ...rest
+    } = row;
+    const attached = describeMedia(media.get(mediaId));
+    return {
+      ...rest,
+      timestamp: renderTimestamp(row.timestamp, { tz, offset }),
+      identity: identities.get(row.author) ?? null,
+      isMine: row.type !== 'system' && me.isMine(row.author, chatId),
+      media_path: attached?.url ?? null,
+      thumbnail_path: attached?.thumbnails?.small.url ?? null,
+      media: attached,
+      deleted: Boolean(deleted),
+      edited: Boolean(edited),
+      media_omitted: Boolean(mediaOmitted)
+    };
+  });
+}
+
+/**
+ * Fetch up to `limit` messages on one side of a position, always returned oldest first.
+ * direction = 'after' | 'before'; pos = null starts from the beginning of the chat.
+ * Returns { rows, hasMore } where hasMore says whether more rows exist further in that direction.
+ */
+async function fetchPage(where, params, { direction = 'after', pos = null, limit, inclusive = false }) {
+  let sql = where;
+  const allParams = [...params];
+  if (pos) {
+    const cond = keysetCondition(direction, pos, { inclusive });
+    sql += ` AND ${cond.sql}`;
+    allParams.push(...cond.params);
+  }
+
+  const order = direction === 'before' ? 'DESC' : 'ASC';
+  // limit is a clamped integer, so it is safe to inline (mysql2 prepared LIMIT params are unreliable)
+  const [rows] = await pool.execute(
+    `SELECT ${MESSAGE_COLUMNS}
+     FROM messages
+     ${sql}
+     ORDER BY timestamp ${order}, id ${order}
+     LIMIT ${limit + 1}`,
+    allParams
+  );
+
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+  if (direction === 'before') rows.reverse();
+  return { rows, hasMore };
+}
+
+/**
+ * Resolve ?around= to a position: a numeric message id in this chat, or a date/time
+ * (naive dates are read in `tz`, UTC by default).
+ * Returns { pos, anchorId } or null if it cannot be resolved.
+ */
+async function resolveAround(chatId, around, tz) {
+  if (/^\d+$/.test(around)) {
+    const [rows] = await pool.execute(
+      'SELECT id, timestamp FROM messages WHERE id = ? AND chat_id = ?',
+      [Number(around), chatId]
+    );
+    if (!rows.length) return null;
+    return { pos: { timestamp: rows[0].timestamp, id: rows[0].id }, anchorId: rows[0].id };
+  }
+
+  const date = parseDateInput(around, tz);
+  if (!date) return null;
+  // id 0 sits before every real row at that instant, so "after inclusive" starts at the first message >= date
+  return { pos: { timestamp: date, id: 0 }, anchorId: null };
+}
+
+/**
+ * GET /api/chats/:id/messages?limit=50&after=<cursor>|before=<cursor>|around=<timestamp|messageId>&search=...
+ * Keyset pagination over (timestamp, id). Items are always ordered oldest first.
+ * Pass nextCursor as ?after= to continue forward, prevCursor as ?before= to go back.
+ * ?withTotal=1 adds the total count (an extra COUNT(*) query).
+ * ?tz=<IANA zone> renders timestamps in that zone instead of each sender's original offset.
+ * ?deleted= / ?edited= / ?media_omitted= (true|false) filter on the message flags.
+ * location / contact / poll messages carry their structured data in `payload`.
+ */
 router.get('/chats/:id/messages', auth, async (req, res) => {
   const userId = req.user.id;
   const chatId = Number(req.params.id);
   const search = (req.query.search || '').trim();
+  const limit = clampLimit(req.query.limit);
+  const tz = req.query.tz || null;
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
 
   // Verify ownership
   const [own] = await pool.execute('SELECT id FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
@@ -20,31 +124,108 @@ router.get('/chats/:id/messages', auth, async (req, res) => {
     where += ' AND (author LIKE ? OR content LIKE ?)';
     params.push(`%${search}%`, `%${search}%`);
   }
+  for (const [param, column] of Object.entries(FLAG_FILTERS)) {
+    const value = req.query[param];
+    if (value === undefined) continue;
+    if (!['true', 'false', '1', '0'].includes(value)) return res.status(400).json({ error: `${param} must be true or false` });
+    where += ` AND ${column} = ?`;
+    params.push(value === 'true' || value === '1' ? 1 : 0);
+  }
 
-  const [rows] = await pool.execute(
-    `SELECT id, author, content, timestamp, type, media_path
-     FROM messages
-     ${where}
-     ORDER BY timestamp ASC, id ASC`,
-    params
-  );
+  let items;
+  let hasBefore = false;
+  let hasAfter = false;
+  let anchorId;
 
-  // Debug: Log media info
-  const messagesWithMedia = rows.filter(m => m.media_path);
-  if (messagesWithMedia.length > 0) {
-    console.log(`Found ${messagesWithMedia.length} messages with media in chat ${chatId}:`);
-    messagesWithMedia.slice(0, 3).forEach(m => {
-      console.log(`  - ${m.type}: ${m.media_path}`);
+  if (req.query.around) {
+    const anchor = await resolveAround(chatId, String(req.query.around), tz);
+    if (!anchor) return res.status(400).json({ error: 'around must be a message id in this chat or a valid date' });
+
+    const beforeLimit = Math.floor(limit / 2);
+    const before = beforeLimit > 0
+      ? await fetchPage(where, params, { direction: 'before', pos: anchor.pos, limit: beforeLimit })
+      : { rows: [], hasMore: true };
+    const after = await fetchPage(where, params, {
+      direction: 'after', pos: anchor.pos, limit: limit - beforeLimit, inclusive: true
     });
+
+    items = [...before.rows, ...after.rows];
+    hasBefore = before.hasMore;
+    hasAfter = after.hasMore;
+    anchorId = anchor.anchorId ?? after.rows[0]?.id ?? null;
+  } else if (req.query.before) {
+    const pos = decodeCursor(req.query.before);
+    if (!pos) return res.status(400).json({ error: 'invalid before cursor' });
+    const page = await fetchPage(where, params, { direction: 'before', pos, limit });
+    items = page.rows;
+    hasBefore = page.hasMore;
+    hasAfter = true;
+  } else {
+    const pos = req.query.after ? decodeCursor(req.query.after) : null;
+    if (req.query.after && !pos) return res.status(400).json({ error: 'invalid after cursor' });
+    const page = await fetchPage(where, params, { direction: 'after', pos, limit });
+    items = page.rows;
+    hasBefore = Boolean(pos);
+    hasAfter = page.hasMore;
+  }
+
+  const body = {
+    items: await serializeMessages(items, { tz, userId, chatId }),
+    nextCursor: hasAfter && items.length ? encodeCursor(items[items.length - 1]) : null,
+    prevCursor: hasBefore && items.length ? encodeCursor(items[0]) : null
+  };
+  if (anchorId !== undefined) body.anchorId = anchorId;
+
+  if (req.query.withTotal === '1' || req.query.withTotal === 'true') {
+    const [cntRows] = await pool.execute(`SELECT COUNT(*) as cnt FROM messages ${where}`, params);
+    body.total = Number(cntRows[0].cnt);
   }
 
-  // total count
-  const [cntRows] = await pool.execute(
-    `SELECT COUNT(*) as cnt FROM messages ${where}`,
-    params
+  res.json(body);
+});
+
+/**
+ * GET /api/messages/:id/context?before=10&after=10&tz=...
+ * The message plus its neighbours in (timestamp, id) order, for opening a search hit in place.
+ * prevCursor / nextCursor continue scrolling via GET /api/chats/:chatId/messages.
+ */
+router.get('/messages/:id/context', auth, async (req, res) => {
+  const userId = req.user.id;
+  const messageId = Number(req.params.id);
+  const beforeLimit = req.query.before === '0' ? 0 : clampLimit(req.query.before, 10, 100);
+  const afterLimit = req.query.after === '0' ? 0 : clampLimit(req.query.after, 10, 100);
+  const tz = req.query.tz || null;
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
+
+  // Verify ownership through the chat
+  const [rows] = await pool.execute(
+    `SELECT m.id, m.chat_id, m.timestamp
+     FROM messages m
+     JOIN chats c ON c.id = m.chat_id
+     WHERE m.id = ? AND c.user_id = ?`,
+    [messageId, userId]
   );
+  const target = rows[0];
+  if (!target) return res.status(404).json({ error: 'Message not found' });
+
+  const where = 'WHERE chat_id = ?';
+  const params = [target.chat_id];
+  const pos = { timestamp: target.timestamp, id: target.id };
+
+  const before = beforeLimit > 0
+    ? await fetchPage(where, params, { direction: 'before', pos, limit: beforeLimit })
+    : { rows: [], hasMore: true };
+  // inclusive: the first row of this page is the target itself
+  const after = await fetchPage(where, params, { direction: 'after', pos, limit: afterLimit + 1, inclusive: true });
 
-  res.json({ items: rows, total: Number(cntRows[0].cnt) });
+  const items = [...before.rows, ...after.rows];
+  res.json({
+    chatId: target.chat_id,
+    targetId: target.id,
+    items: await serializeMessages(items, { tz, userId, chatId: target.chat_id }),
+    prevCursor: before.hasMore && items.length ? encodeCursor(items[0]) : null,
+    nextCursor: after.hasMore && items.length ? encodeCursor(items[items.length - 1]) : null
+  });
 });
 
 export default router;
@@ -0,0 +1,93 @@
+import { Router } from 'express';
+import { pool } from '../db.js';
+import { auth } from '../middleware/auth.js';
+import { clampLimit } from '../utils/pagination.js';
+import { booleanQuery, queryTerms, buildSnippet } from '../utils/search.js';
+import { MESSAGE_TYPES } from '../utils/parseWhatsApp.js';
+import { isValidTimeZone, renderTimestamp, dateRangeCondition } from '../utils/time.js';
+import { loadMe } from '../utils/me.js';
+
+const router = Router();
+
+/**
+ * GET /api/search?q=...&chatId=1,2&author=...&type=image&from=2024-01-01&to=2024-12-31&tz=...&limit=20&offset=0
+ * Full-text search across every chat the user owns (MySQL BOOLEAN MODE: "phrases", +must, -not, prefix*;
+ * other operator characters are taken literally, see booleanQuery).
+ * Results are ranked by relevance and carry a <mark>-highlighted snippet plus the chat name.
+ * Naive from/to dates and the returned timestamps use ?tz= (UTC / sender offset by default); a date-only
+ * `to` includes that whole day.
+ */
+router.get('/search', auth, async (req, res) => {
+  const userId = req.user.id;
+  const q = (req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'q is required' });
+  const match = booleanQuery(q);
+  if (!match) return res.status(400).json({ error: 'invalid query' });
+
+  const limit = clampLimit(req.query.limit, 20, 100);
+  const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+  const tz = req.query.tz || null;
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
+
+  let where = 'WHERE c.user_id = ? AND MATCH(m.content) AGAINST (? IN BOOLEAN MODE)';
+  const params = [userId, match];
+
+  if (req.query.chatId) {
+    const chatIds = String(req.query.chatId).split(',').map(Number).filter(Boolean);
+    if (!chatIds.length) return res.status(400).json({ error: 'invalid chatId' });
+    where += ` AND m.chat_id IN (${chatIds.map(() => '?').join(',')})`;
+    params.push(...chatIds);
+  }
+
+  if (req.query.author) {
+    where += ' AND m.author = ?';
+    params.push(String(req.query.author));
+  }
+
+  if (req.query.type) {
+    const types = String(req.query.type).split(',');
+    if (types.some(t => !MESSAGE_TYPES.includes(t))) {
+      return res.status(400).json({ error: `type must be one of: ${MESSAGE_TYPES.join(', ')}` });
+    }
+    where += ` AND m.type IN (${types.map(() => '?').join(',')})`;
+    params.push(...types);
+  }
+
+  const dates = dateRangeCondition(req.query, 'm.timestamp', tz);
+  if (dates.error) return res.status(400).json({ error: dates.error });
+  where += dates.sql;
+  params.push(...dates.params);
+
+  // limit/offset are clamped integers, safe to inline
+  const [rows] = await pool.execute(
+    `SELECT m.id, m.chat_id, c.name AS chat_name, m.author, m.content, m.timestamp, m.tz_offset, m.type,
+            MATCH(m.content) AGAINST (? IN BOOLEAN MODE) AS score
+     FROM messages m
+     JOIN chats c ON c.id = m.chat_id
+     ${where}
+     ORDER BY score DESC, m.timestamp DESC, m.id DESC
+     LIMIT ${limit + 1} OFFSET ${offset}`,
+    [match, ...params]
+  );
+
+  const hasMore = rows.length > limit;
+  if (hasMore) rows.pop();
+
+  const terms = queryTerms(q);
+  const me = await loadMe(pool, userId);
+  const items = rows.map(r => ({
+    id: r.id,
+    chatId: r.chat_id,
+    chatName: r.chat_name,
+    author: r.author,
+    isMine: r.type !== 'system' && me.isMine(r.author, r.chat_id),
+    timestamp: renderTimestamp(r.timestamp, { tz, offset: r.tz_offset }),
+    type: r.type,
+    score: Number(r.score),
+    snippet: buildSnippet(r.content, terms)
+  }));
+
+  res.json({ items, hasMore, nextOffset: hasMore ? offset + limit : null });
+});
+
+export default router;
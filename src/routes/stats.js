@@ -0,0 +1,103 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { auth } from '../middleware/auth.js';
+import { clampLimit } from '../utils/pagination.js';
+import { isValidTimeZone, zoneOffsetMinutes, dateRangeCondition } from '../utils/time.js';
+import { iterateMessages } from '../utils/messageIterator.js';
+import { createStatsAccumulator, DEFAULT_STOP_WORDS } from '../utils/chatStats.js';
+import { resolveAuthors } from '../utils/contacts.js';
+import { loadMe } from '../utils/me.js';
+
+const router = Router();
+
+const STATS_COLUMNS = 'm.id, m.author, m.content, m.timestamp, m.tz_offset, m.type, m.media_id, m.media_omitted, m.is_deleted';
+
+/**
+ * Add the contact each author resolves to and whether it is the user. Done per response rather
+ * than cached, so renaming or merging contacts shows up without recomputing the stats.
+ */
+async function withIdentities(stats, userId, chatId) {
+  const identities = await resolveAuthors(pool, userId, stats.authors.map(a => a.author));
+  const me = await loadMe(pool, userId);
+  const identify = entry => ({
+    ...entry,
+    identity: identities.get(entry.author) ?? null,
+    isMine: me.isMine(entry.author, chatId)
+  });
+  return {
+    ...stats,
+    authors: stats.authors.map(identify),
+    responseTimes: { ...stats.responseTimes, byAuthor: stats.responseTimes.byAuthor.map(identify) }
+  };
+}
+
+/**
+ * GET /api/chats/:id/stats?from=...&to=...&tz=...&stopWords=foo,bar&defaultStopWords=false&top=50
+ * Analytics for one chat: counts per author and type, weekday × hour heatmap (weekday 0 = Sunday),
+ * daily / monthly timelines, longest streaks and gaps, top words, emoji and median response times.
+ * Local times (heatmap, days) use ?tz= or each sender's original offset.
+ * ?stopWords= adds to the built-in stop-word list; ?defaultStopWords=false replaces it.
+ * Results are cached per chat and query until the chat's messages change (import, merge, backfill).
+ * Author entries carry the contact they resolve to (identity: { id, name } or null) and isMine.
+ */
+router.get('/chats/:id/stats', auth, async (req, res) => {
+  const userId = req.user.id;
+  const chatId = Number(req.params.id);
+  const tz = req.query.tz || null;
+  if (tz && !isValidTimeZone(tz)) return res.status(400).json({ error: 'invalid tz' });
+
+  const top = clampLimit(req.query.top, 50, 200);
+  const extraStopWords = String(req.query.stopWords || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+  const useDefaults = !['false', '0'].includes(req.query.defaultStopWords);
+  const stopWords = [...new Set([...(useDefaults ? DEFAULT_STOP_WORDS : []), ...extraStopWords])];
+
+  const [chats] = await pool.execute('SELECT id, data_version FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+  const chat = chats[0];
+  if (!chat) return res.status(404).json({ error: 'Chat not found' });
+
+  let where = 'WHERE m.chat_id = ?';
+  const params = [chatId];
+  const dates = dateRangeCondition(req.query, 'm.timestamp', tz);
+  if (dates.error) return res.status(400).json({ error: dates.error });
+  where += dates.sql;
+  params.push(...dates.params);
+
+  // the conditions, not just the dates: a date-only to (<) and the same instant as a date-time (<=) differ
+  const paramsHash = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ range: [dates.sql, ...dates.params], tz, top, useDefaults, extraStopWords: [...extraStopWords].sort() }))
+    .digest('hex');
+
+  const [cached] = await pool.execute(
+    'SELECT stats, data_version, created_at FROM chat_stats_cache WHERE chat_id = ? AND params_hash = ?',
+    [chatId, paramsHash]
+  );
+  if (cached[0] && cached[0].data_version === chat.data_version) {
+    const stats = typeof cached[0].stats === 'string' ? JSON.parse(cached[0].stats) : cached[0].stats;
+    return res.json({ ...(await withIdentities(stats, userId, chatId)), computedAt: cached[0].created_at, cached: true });
+  }
+
+  const started = Date.now();
+  const acc = createStatsAccumulator({
+    offsetFor: tz ? date => zoneOffsetMinutes(date, tz) : null,
+    stopWords,
+    top
+  });
+  for await (const msg of iterateMessages({ columns: STATS_COLUMNS, where, params, batch: 2000 })) acc.add(msg);
+  const stats = acc.result();
+  console.log(`[Stats] Chat ${chatId}: ${stats.totals.messages} messages in ${Date.now() - started}ms`);
+
+  // Stored under the version read before computing: if an import landed meanwhile, the next request recomputes
+  await pool.execute(
+    `INSERT INTO chat_stats_cache (chat_id, params_hash, data_version, stats)
+     VALUES (?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE data_version = VALUES(data_version), stats = VALUES(stats), created_at = CURRENT_TIMESTAMP`,
+    [chatId, paramsHash, chat.data_version, JSON.stringify(stats)]
+  );
+  await pool.execute('DELETE FROM chat_stats_cache WHERE chat_id = ? AND data_version < ?', [chatId, chat.data_version]);
+
+  res.json({ ...(await withIdentities(stats, userId, chatId)), computedAt: new Date(), cached: false });
+});
+
+export default router;
@@ -1,49 +1,64 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import multer from 'multer';
-import path from 'path';
 import fs from 'fs/promises';
-import crypto from 'crypto';
-import { pool } from '../db.js';
+import { pool, withTransaction } from '../db.js';
 import { auth } from '../middleware/auth.js';
-import { loadZip, extractZipMeta } from '../utils/zip.js';
-import { parseWhatsAppText } from '../utils/parseWhatsApp.js';
-import { ensureDir, saveBuffer, publicPath, safeName } from '../utils/file.js';
+import { openZip } from '../utils/zip.js';
+import { parseWhatsAppText, normalizeDateOrder, DATE_ORDERS } from '../utils/parseWhatsApp.js';
+import { isValidTimeZone } from '../utils/time.js';
+import { reconcileMessages } from '../utils/fingerprint.js';
+import { linkAuthors } from '../utils/contacts.js';
+import { loadMe, applyMe, normalizeMyAuthors } from '../utils/me.js';
+import { isGenericName, emptyImportStats, prepareMessages, hasMediaFile, importMessages } from '../utils/importer.js';
+import { createImportJob, wakeImportWorker } from '../utils/importJobs.js';
+import { signedJobEventsUrl } from '../utils/jobUrl.js';
+import {
+  previewDir, previewTtlSeconds, MIN_PREVIEW_TTL, MAX_PREVIEW_TTL, serializePreview,
+  createPreview, loadPreview, listPreviews, setPreviewTtl, claimPreview, deletePreview
+} from '../utils/previews.js';
+import {
+  DEFAULT_CHUNK_SIZE, MIN_CHUNK_SIZE, MAX_CHUNK_SIZE, MAX_OPEN_UPLOADS, maxUploadSize, openUploadCount,
+  sha256Hex, serializeUploadSession, missingChunks, chunkLength, createUploadSession, loadUploadSession, writeChunk, verifyUpload, claimUploadSession, deleteUploadSession
+} from '../utils/uploadSessions.js';
 
 const router = Router();
 const upload = multer({ dest: 'tmp/' });
-
-// ─── In-memory preview store (previewId -> preview data) ───
-// Each preview expires after 15 minutes
-const previews = new Map();
-const PREVIEW_TTL_MS = 15 * 60 * 1000; // 15 minutes
-
-/** Cleanup expired previews periodically */
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, preview] of previews) {
-    if (now - preview.createdAt > PREVIEW_TTL_MS) {
-      // Delete temp file
-      fs.unlink(preview.tempPath).catch(() => { });
-      previews.delete(id);
-      console.log(`Cleaned up expired preview: ${id}`);
-    }
-  }
-}, 60 * 1000); // check every minute
+// Previewed ZIPs wait for confirm in the (shared) preview directory, see utils/previews.js
+const previewUpload = multer({ dest: previewDir() });
 
 // ─── Helpers ───
 
-// Normalize filenames for robust matching
-function normalizeName(s) {
-  if (!s) return '';
-  return s.toString().toLowerCase().replace(/[^a-z0-9.\-\.]+/g, '');
+/** Human-readable lifetime, e.g. '15 minutes' */
+function describeTtl(seconds) {
+  if (seconds % 3600 === 0) return `${seconds / 3600} hour${seconds === 3600 ? '' : 's'}`;
+  if (seconds % 60 === 0) return `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+  return `${seconds} seconds`;
+}
+
+/**
+ * Date-order override from a request: { dateOrder: 'DMY'|'MDY'|'YMD' } and/or { locale: 'en-US' }.
+ * Returns parser options, or an { error } for an unknown dateOrder.
+ */
+function parseOptionsFrom(source, fallback = {}) {
+  // An explicit override in this request replaces the fallback entirely
+  const opts = source?.dateOrder || source?.locale ? {} : { ...fallback };
+  if (source?.dateOrder) {
+    const order = normalizeDateOrder(source.dateOrder);
+    if (!order) return { error: `dateOrder must be one of: ${DATE_ORDERS.join(', ')}` };
+    opts.dateOrder = order;
+  }
+  if (source?.locale) opts.locale = String(source.locale);
+  return { opts };
 }
 
-// Generic/default chat names that indicate the name was not properly parsed
-const GENERIC_NAMES = new Set(['chat', 'whatsapp chat', 'group', '_chat']);
+// What confirm / legacy upload do with conflicting messages (see importMessages)
+const ON_CONFLICT_MODES = ['skip', 'update'];
 
-function isGenericName(name) {
-  if (!name) return true;
-  return GENERIC_NAMES.has(name.trim().toLowerCase());
+/** onConflict from a request body: { onConflict } or { error } */
+function onConflictFrom(source) {
+  const onConflict = source?.onConflict || 'skip';
+  if (!ON_CONFLICT_MODES.includes(onConflict)) return { error: `onConflict must be one of: ${ON_CONFLICT_MODES.join(', ')}` };
+  return { onConflict };
 }
 
 /** Calculate overlap ratio between two participant sets */
@@ -58,19 +73,26 @@ function participantOverlap(setA, setB) {
   return overlap / smaller;
 }
 
-/**
- * Find best matching chats for the imported data.
- * Returns { suggestedChatId, existingChats[] with match scores }
- */
-async function findMatchingSuggestions(userId, nameGuess, participantsSet) {
+/** The user's chats with their participants and message counts, to score imported chats against */
+async function loadMatchCandidates(userId) {
   const [chats] = await pool.execute('SELECT id, name, created_at FROM chats WHERE user_id = ?', [userId]);
-
-  // Pre-load participants and message counts for all chats
-  const results = [];
+  const candidates = [];
   for (const c of chats) {
     const [parts] = await pool.execute('SELECT name FROM chat_participants WHERE chat_id = ?', [c.id]);
     const [countRow] = await pool.execute('SELECT COUNT(*) as cnt FROM messages WHERE chat_id = ?', [c.id]);
-    const partSet = new Set(parts.map(r => r.name));
+    candidates.push({ ...c, participants: parts.map(r => r.name), messageCount: Number(countRow[0].cnt) });
+  }
+  return candidates;
+}
+
+/**
+ * Find best matching chats for the imported data among loadMatchCandidates().
+ * Returns { suggestedChatId, existingChats[] with match scores }
+ */
+function findMatchingSuggestions(candidates, nameGuess, participantsSet) {
+  const results = [];
+  for (const c of candidates) {
+    const partSet = new Set(c.participants);
 
     // Calculate match score
     const overlap = participantOverlap(participantsSet, partSet);
@@ -93,8 +115,8 @@ async function findMatchingSuggestions(userId, nameGuess, participantsSet) {
     results.push({
       id: c.id,
       name: c.name,
-      participants: parts.map(r => r.name),
-      messageCount: Number(countRow[0].cnt),
+      participants: c.participants,
+      messageCount: c.messageCount,
       created_at: c.created_at,
       matchScore,
       matchReason
@@ -110,29 +132,111 @@ async function findMatchingSuggestions(userId, nameGuess, participantsSet) {
   return { suggestedChatId, existingChats: results };
 }
 
+/**
+ * Per-file targets for confirm: { mapping: Map(fileName -> chatId | 'new' | 'skip') } or { error }.
+ * source.mapping is { "<fileName>": <chatId> | "new" | "skip" } and must cover every chat file
+ * of the preview; without it (null mapping) targetChatId applies to all files.
+ */
+function fileMappingFrom(source, fileNames) {
+  const raw = source?.mapping;
+  if (raw === undefined || raw === null) return { mapping: null };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'mapping must be an object of fileName -> chatId | "new" | "skip"' };
+
+  const mapping = new Map();
+  for (const [fileName, target] of Object.entries(raw)) {
+    if (!fileNames.includes(fileName)) return { error: `mapping: no chat file "${fileName}" in this preview` };
+    if (target === null || target === 'new' || target === 'skip') {
+      mapping.set(fileName, target ?? 'new');
+    } else if (Number.isInteger(Number(target)) && Number(target) > 0) {
+      mapping.set(fileName, Number(target));
+    } else {
+      return { error: `mapping: "${fileName}" must map to a chat id, "new" or "skip"` };
+    }
+  }
+  const missing = fileNames.filter(f => !mapping.has(f));
+  if (missing.length) return { error: `mapping: no target for ${missing.map(f => `"${f}"`).join(', ')}` };
+  return { mapping };
+}
+
+/**
+ * Timezone for interpreting an export's wall-clock times:
+ * the one named in the request, else the account default, else UTC.
+ * Returns { timezone } or { error } for an unknown zone name.
+ */
+async function importTimezoneFor(userId, requested, fallback = null) {
+  if (requested) {
+    if (!isValidTimeZone(requested)) return { error: 'invalid timezone' };
+    return { timezone: requested };
+  }
+  if (fallback) return { timezone: fallback };
+  const [rows] = await pool.execute('SELECT timezone FROM users WHERE id = ?', [userId]);
+  return { timezone: rows[0]?.timezone || 'UTC' };
+}
+
+/**
+ * What importing `parsed` into chatId would do, without writing anything:
+ * { chatId, new, duplicate, conflicting, conflicts: { media, edited, deleted } } (counts).
+ */
+async function diffAgainstChat(chatId, parsed, filesMap, timezone) {
+  const messages = prepareMessages(parsed, timezone);
+  const { fresh, duplicates, conflicts } = await reconcileMessages(pool, chatId, messages, {
+    hasFile: m => hasMediaFile(filesMap, m)
+  });
+  const byReason = {};
+  for (const c of conflicts) {
+    for (const reason of c.reasons) byReason[reason] = (byReason[reason] || 0) + 1;
+  }
+  return { chatId, new: fresh.length, duplicate: duplicates.length, conflicting: conflicts.length, conflicts: byReason };
+}
+
 // ─────────────────────────────────────────────────────────────
 // STEP 1:  POST /api/upload/preview
 //   Upload ZIP, parse it, return preview + suggestions
+//   Optional fields: dateOrder (DMY|MDY|YMD) or locale (e.g. en-US)
+//   to override the date format detected from the file; timezone (IANA)
+//   the export's phone was in (defaults to the account timezone)
 // ─────────────────────────────────────────────────────────────
-router.post('/upload/preview', auth, upload.single('zip'), async (req, res) => {
+router.post('/upload/preview', auth, previewUpload.single('zip'), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'zip file required' });
+  await sendPreview(req, res, req.file);
+});
+
+/**
+ * Parse the ZIP at file.path (inside previewDir()) with the options in req.body, store a preview
+ * of it and answer with that. Shared by /upload/preview and resumable uploads; the ZIP is deleted
+ * unless the preview was stored.
+ */
+async function sendPreview(req, res, file) {
   const userId = req.user.id;
 
+  const { opts: parseOptions, error: optionsError } = parseOptionsFrom(req.body);
+  const { timezone, error: tzError } = await importTimezoneFor(userId, req.body?.timezone);
+  if (optionsError || tzError) {
+    await fs.unlink(file.path).catch(() => { });
+    return res.status(400).json({ error: optionsError || tzError });
+  }
+
   try {
-    console.log(`[Preview] Processing ZIP for user ${userId}, file: ${req.file.originalname}`);
+    console.log(`[Preview] Processing ZIP for user ${userId}, file: ${file.originalname}`);
 
-    const zip = await loadZip(req.file.path);
-    const { txtFiles, filesMap } = await extractZipMeta(zip);
+    // media entries are only listed here, never inflated
+    const { txtFiles, filesMap, close } = await openZip(file.path);
+    close();
 
     if (!txtFiles.length) {
-      await fs.unlink(req.file.path).catch(() => { });
+      await fs.unlink(file.path).catch(() => { });
       return res.status(400).json({ error: 'no .txt chat file found in zip' });
     }
 
     // Parse all chat files in the ZIP
     const chatPreviews = [];
+    const parsedFiles = [];
+    const me = await loadMe(pool, userId);
     for (const { path: txtPath, text } of txtFiles) {
-      const parsed = parseWhatsAppText(text, txtPath);
+      const parsed = parseWhatsAppText(text, txtPath, parseOptions);
+      // participants as they will be stored, so "You" from another phone still matches
+      applyMe(parsed, me);
+      parsedFiles.push(parsed);
 
       // Get date range from messages
       const timestamps = parsed.messages
@@ -145,36 +249,60 @@ router.post('/upload/preview', auth, upload.single('zip'), async (req, res) => {
         nameGuess: parsed.nameGuess,
         participants: Array.from(parsed.participants),
         messageCount: parsed.messages.length,
-        mediaCount: parsed.messages.filter(m => m.type !== 'text').length,
+        mediaCount: parsed.messages.filter(m => m.filename).length,
+        omittedMediaCount: parsed.messages.filter(m => m.mediaOmitted).length,
+        deletedCount: parsed.messages.filter(m => m.deleted).length,
+        editedCount: parsed.messages.filter(m => m.edited).length,
+        systemCount: parsed.messages.filter(m => m.type === 'system').length,
         dateRange: {
           from: timestamps[0] || null,
           to: timestamps[timestamps.length - 1] || null
-        }
+        },
+        dateFormat: parsed.dateFormat
       });
     }
 
-    // Get matching suggestions for the first (main) chat
-    const mainChat = chatPreviews[0];
-    const participantsSet = new Set(mainChat.participants);
-    const { suggestedChatId, existingChats } = await findMatchingSuggestions(
-      userId, mainChat.nameGuess, participantsSet
-    );
+    // Matching suggestions for each chat file; the top-level ones are the first (main) chat's
+    const candidates = await loadMatchCandidates(userId);
+    const suggestions = chatPreviews.map(p => findMatchingSuggestions(candidates, p.nameGuess, new Set(p.participants)));
+    const { suggestedChatId, existingChats } = suggestions[0];
+
+    // What confirming each file into its suggested chat would add (GET .../diff?chatId= for another target)
+    for (let i = 0; i < parsedFiles.length; i++) {
+      const fileSuggestion = suggestions[i].suggestedChatId;
+      chatPreviews[i].suggestedChatId = fileSuggestion;
+      chatPreviews[i].matches = suggestions[i].existingChats
+        .filter(c => c.matchScore > 0)
+        .map(c => ({ id: c.id, name: c.name, matchScore: c.matchScore, matchReason: c.matchReason }));
+      if (fileSuggestion) applyMe(parsedFiles[i], me, fileSuggestion);
+      chatPreviews[i].diff = await diffAgainstChat(fileSuggestion, parsedFiles[i], filesMap, timezone);
+    }
 
-    // Generate preview ID and store temp data
-    const previewId = crypto.randomUUID();
-    previews.set(previewId, {
+    // Store the preview; the ZIP stays where multer put it until confirm, cancel or expiry
+    const preview = await createPreview({
       userId,
-      tempPath: req.file.path,
-      originalName: req.file.originalname,
-      createdAt: Date.now(),
+      tempPath: file.path,
+      originalName: file.originalname,
+      fileNames: chatPreviews.map(p => p.fileName),
+      chats: chatPreviews.map(p => ({
+        fileName: p.fileName,
+        nameGuess: p.nameGuess,
+        messageCount: p.messageCount,
+        suggestedChatId: p.suggestedChatId
+      })),
+      parseOptions,
+      timezone,
       mediaFileCount: filesMap.size
     });
+    const previewId = preview.id;
 
     console.log(`[Preview] Created preview ${previewId} for user ${userId}: ${chatPreviews.length} chats found`);
 
     res.json({
       previewId,
-      expiresIn: '15 minutes',
+      expiresIn: describeTtl(previewTtlSeconds()),
+      expiresAt: preview.expiresAt,
+      timezone,
       chatPreviews,
       suggestedChatId,
       existingChats
@@ -182,17 +310,86 @@ router.post('/upload/preview', auth, upload.single('zip'), async (req, res) => {
 
   } catch (error) {
     // Cleanup temp file on error
-    await fs.unlink(req.file.path).catch(() => { });
+    await fs.unlink(file.path).catch(() => { });
     console.error('Preview error:', error);
     res.status(500).json({ error: error.message || 'Preview failed' });
   }
+}
+
+/**
+ * GET /api/upload/preview/:previewId/diff?chatId=12&timezone=...&dateOrder=...
+ * Exact counts of new, duplicate and conflicting messages if the preview were confirmed into chatId
+ * (without chatId: into a new chat). Conflicts are broken down by reason: media, edited, deleted.
+ */
+router.get('/upload/preview/:previewId/diff', auth, async (req, res) => {
+  const userId = req.user.id;
+  const preview = await loadPreview(userId, req.params.previewId);
+  if (!preview || preview.expired) return res.status(404).json({ error: 'Preview expired or not found. Please upload again.' });
+
+  const chatId = req.query.chatId ? Number(req.query.chatId) : null;
+  if (chatId) {
+    const [own] = await pool.execute('SELECT id FROM chats WHERE id = ? AND user_id = ?', [chatId, userId]);
+    if (!own.length) return res.status(404).json({ error: 'Chat not found' });
+  }
+  const { opts: parseOptions, error: optionsError } = parseOptionsFrom(req.query, preview.parseOptions);
+  const { timezone, error: tzError } = await importTimezoneFor(userId, req.query.timezone, preview.timezone);
+  if (optionsError || tzError) return res.status(400).json({ error: optionsError || tzError });
+
+  const { txtFiles, filesMap, close } = await openZip(preview.tempPath);
+  close();
+  const me = await loadMe(pool, userId);
+
+  const files = [];
+  for (const { path: txtPath, text } of txtFiles) {
+    const parsed = parseWhatsAppText(text, txtPath, parseOptions);
+    applyMe(parsed, me, chatId);
+    files.push({ fileName: txtPath, ...(await diffAgainstChat(chatId, parsed, filesMap, timezone)) });
+  }
+  res.json({ chatId, timezone, files });
+});
+
+/** GET /api/upload/preview - the user's pending (unexpired) previews, newest first */
+router.get('/upload/preview', auth, async (req, res) => {
+  const previews = await listPreviews(req.user.id);
+  res.json(previews.map(serializePreview));
+});
+
+/** DELETE /api/upload/preview/:previewId - cancel a pending preview and delete its ZIP */
+router.delete('/upload/preview/:previewId', auth, async (req, res) => {
+  const preview = await loadPreview(req.user.id, req.params.previewId);
+  if (!preview || !(await deletePreview(preview))) return res.status(404).json({ error: 'Preview not found' });
+  console.log(`[Preview] Cancelled preview ${preview.id} for user ${req.user.id}`);
+  res.json({ ok: true });
+});
+
+/**
+ * PATCH /api/upload/preview/:previewId  { ttlSeconds }
+ * Let a pending preview live ttlSeconds from now (MIN_PREVIEW_TTL..MAX_PREVIEW_TTL)
+ */
+router.patch('/upload/preview/:previewId', auth, async (req, res) => {
+  const ttlSeconds = req.body?.ttlSeconds;
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds < MIN_PREVIEW_TTL || ttlSeconds > MAX_PREVIEW_TTL) {
+    return res.status(400).json({ error: `ttlSeconds must be an integer from ${MIN_PREVIEW_TTL} to ${MAX_PREVIEW_TTL}` });
+  }
+  if (!(await setPreviewTtl(req.user.id, req.params.previewId, ttlSeconds))) {
+    return res.status(404).json({ error: 'Preview expired or not found' });
+  }
+  const preview = await loadPreview(req.user.id, req.params.previewId);
+  res.json(serializePreview(preview));
 });
 
 // ─────────────────────────────────────────────────────────────
-// STEP 2:  POST /api/upload/confirm
-//   body: { previewId, targetChatId? }
+// STEP 2:  POST /api/upload/confirm  → 202 { jobId }
+//   Queues the import as a background job (see routes/jobs.js); its result
+//   holds the stats this used to return
+//   body: { previewId, targetChatId?, mapping?, dateOrder?, locale?, timezone?, onConflict? }
 //   targetChatId = null/undefined → create new chat
-//   targetChatId = <id> → merge into that chat
+//   targetChatId = <id> → merge into that chat (only messages it lacks are added)
+//   mapping = { "<fileName>": <chatId> | "new" | "skip" } → a target per chat file of
+//   the preview (multi-chat ZIPs); every file must be listed, targetChatId is ignored
+//   dateOrder / locale / timezone override what the preview used
+//   onConflict = 'skip' (default) keeps stored messages as they are; 'update' applies
+//   this export's media / edits / deletions to them
 // ─────────────────────────────────────────────────────────────
 router.post('/upload/confirm', auth, async (req, res) => {
   const userId = req.user.id;
@@ -201,215 +398,212 @@ router.post('/upload/confirm', auth, async (req, res) => {
   if (!previewId) return res.status(400).json({ error: 'previewId is required' });
 
   // Retrieve preview data
-  const preview = previews.get(previewId);
+  const preview = await loadPreview(userId, previewId);
   if (!preview) return res.status(404).json({ error: 'Preview expired or not found. Please upload again.' });
-  if (preview.userId !== userId) return res.status(403).json({ error: 'Unauthorized' });
 
   // Check expiry
-  if (Date.now() - preview.createdAt > PREVIEW_TTL_MS) {
-    previews.delete(previewId);
-    await fs.unlink(preview.tempPath).catch(() => { });
+  if (preview.expired) {
+    await deletePreview(preview);
     return res.status(410).json({ error: 'Preview expired. Please upload again.' });
   }
 
-  try {
-    console.log(`[Confirm] Importing preview ${previewId} for user ${userId}, target: ${targetChatId || 'new chat'}`);
+  const { opts: parseOptions, error: optionsError } = parseOptionsFrom(req.body, preview.parseOptions);
+  const { timezone, error: tzError } = await importTimezoneFor(userId, req.body?.timezone, preview.timezone);
+  const { onConflict, error: conflictError } = onConflictFrom(req.body);
+  const { mapping, error: mappingError } = fileMappingFrom(req.body, preview.fileNames);
+  const error = optionsError || tzError || conflictError || mappingError;
+  if (error) return res.status(400).json({ error });
+
+  // Every chat a file goes into must be the user's
+  const targetIds = mapping
+    ? [...new Set([...mapping.values()].filter(t => typeof t === 'number'))]
+    : (targetChatId ? [Number(targetChatId)] : []);
+  if (targetIds.length) {
+    const [owned] = await pool.execute(
+      `SELECT id FROM chats WHERE user_id = ? AND id IN (${targetIds.map(() => '?').join(',')})`,
+      [userId, ...targetIds]
+    );
+    const ownedIds = new Set(owned.map(r => r.id));
+    const missing = targetIds.find(id => !ownedIds.has(id));
+    if (missing) return res.status(404).json({ error: `Chat ${missing} not found` });
+  }
 
-    // Re-read and parse the ZIP
-    const zip = await loadZip(preview.tempPath);
-    const { txtFiles, filesMap } = await extractZipMeta(zip);
+  const targets = {};
+  for (const fileName of preview.fileNames) {
+    targets[fileName] = mapping ? mapping.get(fileName) : (targetChatId ? Number(targetChatId) : 'new');
+  }
 
-    const stats = { addedChats: 0, updatedChats: 0, addedMessages: 0, skippedMessages: 0, savedMedia: 0 };
+  // Only one confirm of a preview gets past the claim, also across instances. The ZIP passes from
+  // the preview to the job in one transaction: if queueing fails, the preview is still there.
+  const jobId = await withTransaction(async conn => {
+    if (!(await claimPreview(conn, userId, previewId))) return null;
+    return createImportJob(conn, {
+      userId,
+      tempPath: preview.tempPath,
+      originalName: preview.originalName,
+      options: { parseOptions, timezone, onConflict, targets }
+    });
+  });
+  if (!jobId) return res.status(410).json({ error: 'Preview expired or already confirmed. Please upload again.' });
 
-    const conn = await pool.getConnection();
-    try {
-      await conn.beginTransaction();
+  // The import runs in the background (GET /api/jobs/:id, .../events)
+  wakeImportWorker();
 
-      for (const { path: txtPath, text } of txtFiles) {
-        const parsed = parseWhatsAppText(text, txtPath);
-        const participantsSet = parsed.participants;
-        const nameGuess = parsed.nameGuess;
+  const targetLabel = mapping ? 'per-file mapping' : (targetChatId || 'new chat');
+  console.log(`[Confirm] Queued import job ${jobId} for preview ${previewId}, user ${userId}, target: ${targetLabel}`);
+  res.status(202).json({ jobId, status: 'queued', eventsUrl: signedJobEventsUrl(jobId) });
+});
 
-        let chatId;
-        let created = false;
-
-        if (targetChatId) {
-          // ── User chose to merge into existing chat ──
-          // Verify the chat exists and belongs to this user
-          const [rows] = await conn.execute('SELECT id, name FROM chats WHERE id = ? AND user_id = ?', [targetChatId, userId]);
-          if (!rows.length) {
-            await conn.rollback();
-            conn.release();
-            return res.status(404).json({ error: `Chat ${targetChatId} not found` });
-          }
-
-          chatId = targetChatId;
-
-          // Update chat name if the new import has a better name
-          const existingName = rows[0].name;
-          if (nameGuess && !isGenericName(nameGuess) && (isGenericName(existingName) || existingName !== nameGuess)) {
-            await conn.execute('UPDATE chats SET name = ? WHERE id = ?', [nameGuess, chatId]);
-            console.log(`Updated chat ${chatId} name: "${existingName}" -> "${nameGuess}"`);
-          }
-
-          // Sync participants (union of old + new)
-          const [existingParts] = await conn.execute('SELECT name FROM chat_participants WHERE chat_id = ?', [chatId]);
-          const existingSet = new Set(existingParts.map(r => r.name));
-          for (const p of participantsSet) {
-            if (!existingSet.has(p)) {
-              await conn.execute('INSERT IGNORE INTO chat_participants (chat_id, name) VALUES (?, ?)', [chatId, p]);
-            }
-          }
-
-          stats.updatedChats++;
-        } else {
-          // ── Create new chat ──
-          const [result] = await conn.execute('INSERT INTO chats (user_id, name) VALUES (?, ?)', [userId, nameGuess || 'Chat']);
-          chatId = result.insertId;
-          created = true;
-
-          // Insert participants
-          for (const p of participantsSet) {
-            await conn.execute('INSERT INTO chat_participants (chat_id, name) VALUES (?, ?)', [chatId, p]);
-          }
-
-          stats.addedChats++;
-        }
+// ─────────────────────────────────────────────────────────────
+// RESUMABLE:  an alternative to STEP 1 for large ZIPs on flaky connections
+//   POST   /api/upload/sessions  { fileName, size, chunkSize?, sha256? } → upload session
+//   PUT    /api/upload/sessions/:uploadId/chunks/:index  raw bytes of one chunk,
+//          header X-Chunk-Sha256: <hex sha256 of the chunk>; repeat any chunk until it succeeds
+//   GET    /api/upload/sessions/:uploadId  → receivedChunks / missingChunks, to resume after a drop
+//   POST   /api/upload/sessions/:uploadId/complete  { dateOrder?, locale?, timezone? }
+//          → the same response as /upload/preview (then confirm as usual)
+//   DELETE /api/upload/sessions/:uploadId  aborts the upload
+//   Chunk n covers bytes [n * chunkSize, (n + 1) * chunkSize) of the file
+//   size is capped by UPLOAD_MAX_SIZE, and a user has at most MAX_OPEN_UPLOADS uploads in progress
+// ─────────────────────────────────────────────────────────────
+router.post('/upload/sessions', auth, async (req, res) => {
+  const { fileName, size, chunkSize = DEFAULT_CHUNK_SIZE, sha256 } = req.body || {};
+  if (!Number.isSafeInteger(size) || size <= 0) return res.status(400).json({ error: 'size must be a positive integer (bytes)' });
+  if (size > maxUploadSize()) return res.status(413).json({ error: `size exceeds the upload limit of ${maxUploadSize()} bytes` });
+  if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+    return res.status(400).json({ error: `chunkSize must be an integer from ${MIN_CHUNK_SIZE} to ${MAX_CHUNK_SIZE}` });
+  }
+  if (sha256 !== undefined && sha256 !== null && !/^[0-9a-f]{64}$/i.test(String(sha256))) {
+    return res.status(400).json({ error: 'sha256 must be 64 hex digits' });
+  }
+  if (await openUploadCount(req.user.id) >= MAX_OPEN_UPLOADS) {
+    return res.status(429).json({ error: `At most ${MAX_OPEN_UPLOADS} uploads can be in progress; complete or abort one first` });
+  }
 
-        // Prepare uploads dir
-        const root = process.env.UPLOAD_ROOT || 'uploads';
-        const chatDir = path.join(root, String(userId), String(chatId));
-        await ensureDir(chatDir);
-
-        // Get the last message timestamp for this chat to avoid re-importing old messages
-        let lastMessageTime = null;
-        if (!created) {
-          const [lastMsg] = await conn.execute(
-            'SELECT MAX(timestamp) as last_time FROM messages WHERE chat_id = ?',
-            [chatId]
-          );
-          lastMessageTime = lastMsg[0]?.last_time;
-        }
+  const session = await createUploadSession({
+    userId: req.user.id,
+    fileName: fileName ? String(fileName) : null,
+    size,
+    chunkSize,
+    sha256: sha256 ? String(sha256).toLowerCase() : null
+  });
+  console.log(`[Upload] Started upload ${session.id} for user ${req.user.id}: ${size} bytes in ${session.chunkCount} chunks`);
+  res.status(201).json(serializeUploadSession(session));
+});
 
-        // Filter messages: only new ones (after last message time)
-        const newMessages = parsed.messages.filter(m => {
-          if (!m.timestamp) return true;
-          if (!lastMessageTime) return true;
-          return new Date(m.timestamp) > new Date(lastMessageTime);
-        });
-
-        // Insert messages + save media
-        for (const m of newMessages) {
-          let mediaPath = null;
-
-          if (m.filename) {
-            const rawName = m.filename;
-            const targetNorm = normalizeName(rawName);
-            let hit = null;
-            let foundZipKey = null;
-
-            // Try exact basename match
-            const exactKey = rawName.toLowerCase();
-            if (filesMap.has(exactKey)) {
-              hit = filesMap.get(exactKey);
-              foundZipKey = exactKey;
-            }
-
-            // Scan and match using normalized forms
-            if (!hit) {
-              for (const [zipFilename, fileData] of filesMap.entries()) {
-                const zipNorm = normalizeName(zipFilename);
-                if (
-                  zipFilename.endsWith(exactKey) ||
-                  zipNorm === targetNorm ||
-                  zipNorm.includes(targetNorm) ||
-                  targetNorm.includes(zipNorm)
-                ) {
-                  hit = fileData;
-                  foundZipKey = zipFilename;
-                  break;
-                }
-              }
-            }
-
-            if (hit) {
-              try {
-                const savedName = safeName(foundZipKey || exactKey);
-                const outPath = path.join(chatDir, savedName);
-                await saveBuffer(outPath, hit.data);
-                mediaPath = publicPath(String(userId), String(chatId), savedName);
-                stats.savedMedia++;
-              } catch (mediaError) {
-                console.error(`Failed to save media file ${m.filename}:`, mediaError);
-              }
-            }
-          }
-
-          try {
-            await conn.execute(
-              `INSERT INTO messages (chat_id, author, content, timestamp, type, media_path)
-               VALUES (?, ?, ?, ?, ?, ?)`,
-              [chatId, m.author || null, m.content || '', m.timestamp || null, m.type, mediaPath]
-            );
-            stats.addedMessages++;
-          } catch (e) {
-            if (e.code === 'ER_DUP_ENTRY') {
-              stats.skippedMessages++;
-            } else {
-              throw e;
-            }
-          }
-        }
+/** GET /api/upload/sessions/:uploadId */
+router.get('/upload/sessions/:uploadId', auth, async (req, res) => {
+  const session = await loadUploadSession(req.user.id, req.params.uploadId);
+  if (!session || session.expired) return res.status(404).json({ error: 'Upload expired or not found' });
+  res.json(serializeUploadSession(session));
+});
 
-        // Count skipped (old messages filtered out)
-        stats.skippedMessages += (parsed.messages.length - newMessages.length);
-      }
+/** PUT /api/upload/sessions/:uploadId/chunks/:index - body is the chunk itself (application/octet-stream) */
+router.put('/upload/sessions/:uploadId/chunks/:index', auth,
+  express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }),
+  async (req, res) => {
+    const session = await loadUploadSession(req.user.id, req.params.uploadId);
+    if (!session || session.expired) return res.status(404).json({ error: 'Upload expired or not found' });
 
-      await conn.commit();
-    } catch (e) {
-      await conn.rollback();
-      throw e;
-    } finally {
-      conn.release();
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.chunkCount) {
+      return res.status(400).json({ error: `index must be from 0 to ${session.chunkCount - 1}` });
+    }
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const expected = chunkLength(session, index);
+    if (data.length !== expected) {
+      return res.status(400).json({ error: `chunk ${index} must be ${expected} bytes, got ${data.length}` });
+    }
+    const checksum = req.get('X-Chunk-Sha256');
+    if (!checksum) return res.status(400).json({ error: 'X-Chunk-Sha256 header required' });
+    if (checksum.toLowerCase() !== sha256Hex(data)) {
+      return res.status(400).json({ error: `checksum mismatch for chunk ${index}, please send it again` });
     }
 
-    // Cleanup: delete temp file and preview entry
-    await fs.unlink(preview.tempPath).catch(() => { });
-    previews.delete(previewId);
+    await writeChunk(session, index, data);
+    const received = new Set(session.receivedChunks).add(index).size;
+    res.json({ index, receivedCount: received, chunkCount: session.chunkCount });
+  }
+);
 
-    console.log(`[Confirm] Import completed for user ${userId}:`, stats);
-    res.json(stats);
+/** POST /api/upload/sessions/:uploadId/complete - turn the finished upload into a preview */
+router.post('/upload/sessions/:uploadId/complete', auth, async (req, res) => {
+  const userId = req.user.id;
+  const session = await loadUploadSession(userId, req.params.uploadId);
+  if (!session) return res.status(404).json({ error: 'Upload not found' });
+  if (session.expired) {
+    await deleteUploadSession(session);
+    return res.status(410).json({ error: 'Upload expired. Please upload again.' });
+  }
 
-  } catch (error) {
-    console.error('Confirm/import error:', error);
-    res.status(500).json({ error: error.message || 'Import failed' });
+  // options are checked before the upload is claimed, so a bad one doesn't cost the uploaded file
+  const { error: optionsError } = parseOptionsFrom(req.body);
+  const { error: tzError } = await importTimezoneFor(userId, req.body?.timezone);
+  if (optionsError || tzError) return res.status(400).json({ error: optionsError || tzError });
+
+  const missing = missingChunks(session);
+  if (missing.length) return res.status(409).json({ error: 'Upload is incomplete', missingChunks: missing });
+  const { badChunks, fileMatches } = await verifyUpload(session);
+  if (badChunks.length) {
+    return res.status(409).json({ error: `Chunks ${badChunks.join(', ')} no longer match their checksum; send them again`, missingChunks: badChunks });
+  }
+  if (!fileMatches) {
+    return res.status(400).json({ error: 'sha256 of the uploaded file does not match; resend the chunks or start over' });
   }
+
+  // Only one complete gets the file, also across instances
+  if (!(await claimUploadSession(userId, session.id))) {
+    return res.status(410).json({ error: 'Upload expired or already completed' });
+  }
+  console.log(`[Upload] Completed upload ${session.id} for user ${userId}`);
+  await sendPreview(req, res, { path: session.storagePath, originalname: session.originalName });
+});
+
+/** DELETE /api/upload/sessions/:uploadId */
+router.delete('/upload/sessions/:uploadId', auth, async (req, res) => {
+  const session = await loadUploadSession(req.user.id, req.params.uploadId);
+  if (!session || !(await deleteUploadSession(session))) return res.status(404).json({ error: 'Upload not found' });
+  console.log(`[Upload] Aborted upload ${session.id} for user ${req.user.id}`);
+  res.json({ ok: true });
 });
 
 // ─────────────────────────────────────────────────────────────
 // LEGACY:  POST /api/upload  (backward compatible)
 //   Single-step upload with auto-matching (for old clients)
+//   Accepts the same dateOrder / locale / timezone fields as /upload/preview, and onConflict
 // ─────────────────────────────────────────────────────────────
 router.post('/upload', auth, upload.single('zip'), async (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'zip file required' });
   const userId = req.user.id;
 
+  const { opts: parseOptions, error: optionsError } = parseOptionsFrom(req.body);
+  const { timezone, error: tzError } = await importTimezoneFor(userId, req.body?.timezone);
+  const { onConflict, error: conflictError } = onConflictFrom(req.body);
+  if (optionsError || tzError || conflictError) {
+    await fs.unlink(req.file.path).catch(() => { });
+    return res.status(400).json({ error: optionsError || tzError || conflictError });
+  }
+
   try {
     console.log(`[Legacy Upload] Processing ZIP for user ${userId}, file: ${req.file.originalname}`);
 
-    const zip = await loadZip(req.file.path);
-    const { txtFiles, filesMap } = await extractZipMeta(zip);
+    const { txtFiles, filesMap, close } = await openZip(req.file.path);
 
-    if (!txtFiles.length) return res.status(400).json({ error: 'no .txt chat file found in zip' });
+    if (!txtFiles.length) {
+      close();
+      return res.status(400).json({ error: 'no .txt chat file found in zip' });
+    }
 
-    const stats = { addedChats: 0, updatedChats: 0, addedMessages: 0, skippedMessages: 0, savedMedia: 0 };
+    const stats = emptyImportStats();
 
     const conn = await pool.getConnection();
     try {
       await conn.beginTransaction();
+      const me = await loadMe(conn, userId);
 
       for (const { path: txtPath, text } of txtFiles) {
-        const parsed = parseWhatsAppText(text, txtPath);
+        const parsed = parseWhatsAppText(text, txtPath, parseOptions);
+        applyMe(parsed, me);
         const participantsSet = parsed.participants;
         const nameGuess = parsed.nameGuess;
 
@@ -417,86 +611,10 @@ router.post('/upload', auth, upload.single('zip'), async (req, res) => {
         const { chatId, created } = await autoFindOrCreateChat(userId, nameGuess, participantsSet, conn);
         if (created) stats.addedChats++; else stats.updatedChats++;
 
-        const root = process.env.UPLOAD_ROOT || 'uploads';
-        const chatDir = path.join(root, String(userId), String(chatId));
-        await ensureDir(chatDir);
-
-        let lastMessageTime = null;
-        if (!created) {
-          const [lastMsg] = await conn.execute(
-            'SELECT MAX(timestamp) as last_time FROM messages WHERE chat_id = ?',
-            [chatId]
-          );
-          lastMessageTime = lastMsg[0]?.last_time;
-        }
-
-        const newMessages = parsed.messages.filter(m => {
-          if (!m.timestamp) return true;
-          if (!lastMessageTime) return true;
-          return new Date(m.timestamp) > new Date(lastMessageTime);
-        });
-
-        for (const m of newMessages) {
-          let mediaPath = null;
-
-          if (m.filename) {
-            const rawName = m.filename;
-            const targetNorm = normalizeName(rawName);
-            let hit = null;
-            let foundZipKey = null;
-
-            const exactKey = rawName.toLowerCase();
-            if (filesMap.has(exactKey)) {
-              hit = filesMap.get(exactKey);
-              foundZipKey = exactKey;
-            }
-
-            if (!hit) {
-              for (const [zipFilename, fileData] of filesMap.entries()) {
-                const zipNorm = normalizeName(zipFilename);
-                if (
-                  zipFilename.endsWith(exactKey) ||
-                  zipNorm === targetNorm ||
-                  zipNorm.includes(targetNorm) ||
-                  targetNorm.includes(zipNorm)
-                ) {
-                  hit = fileData;
-                  foundZipKey = zipFilename;
-                  break;
-                }
-              }
-            }
-
-            if (hit) {
-              try {
-                const savedName = safeName(foundZipKey || exactKey);
-                const outPath = path.join(chatDir, savedName);
-                await saveBuffer(outPath, hit.data);
-                mediaPath = publicPath(String(userId), String(chatId), savedName);
-                stats.savedMedia++;
-              } catch (mediaError) {
-                console.error(`Failed to save media file ${m.filename}:`, mediaError);
-              }
-            }
-          }
-
-          try {
-            await conn.execute(
-              `INSERT INTO messages (chat_id, author, content, timestamp, type, media_path)
-               VALUES (?, ?, ?, ?, ?, ?)`,
-              [chatId, m.author || null, m.content || '', m.timestamp || null, m.type, mediaPath]
-            );
-            stats.addedMessages++;
-          } catch (e) {
-            if (e.code === 'ER_DUP_ENTRY') {
-              stats.skippedMessages++;
-            } else {
-              throw e;
-            }
-          }
-        }
-
-        stats.skippedMessages += (parsed.messages.length - newMessages.length);
+        stats.addedContacts += await linkAuthors(conn, userId, participantsSet);
+        await importMessages(conn, { userId, chatId, created, parsed, filesMap, timezone, stats, onConflict });
+        // the matched chat may declare "me" strings of its own
+        if (!created) await normalizeMyAuthors(conn, userId, [chatId]);
       }
 
       await conn.commit();
@@ -505,6 +623,7 @@ router.post('/upload', auth, upload.single('zip'), async (req, res) => {
       throw e;
     } finally {
       conn.release();
+      close();
     }
 
     // Cleanup temp file
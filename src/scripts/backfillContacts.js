@@ -0,0 +1,25 @@
+// One-off: create contacts for the participants of chats imported before contacts existed.
+// Safe to re-run: authors that already have a contact are skipped.
+import 'dotenv/config';
+import { pool } from '../db.js';
+import { linkAuthors } from '../utils/contacts.js';
+
+async function main() {
+  const [chats] = await pool.execute('SELECT id, user_id FROM chats ORDER BY id ASC');
+  let created = 0;
+
+  for (const chat of chats) {
+    const [parts] = await pool.execute('SELECT name FROM chat_participants WHERE chat_id = ?', [chat.id]);
+    created += await linkAuthors(pool, chat.user_id, parts.map(p => p.name));
+    console.log(`[migrate:contacts] Chat ${chat.id}: ${parts.length} participants (${created} contacts created so far)`);
+  }
+
+  console.log(`[migrate:contacts] Done: ${chats.length} chats, ${created} contacts created`);
+}
+
+main()
+  .catch(e => {
+    console.error('[migrate:contacts] failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
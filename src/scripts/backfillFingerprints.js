@@ -0,0 +1,61 @@
+// One-off: fingerprint messages imported before fingerprints existed (see utils/fingerprint.js).
+// Safe to re-run: only rows without a fingerprint are touched. Rows fingerprinted by newer imports
+// keep theirs; older copies of the same message get the next free fp_seq, so nothing collides.
+import 'dotenv/config';
+import { pool } from '../db.js';
+import { rowFingerprint, claimFpSeq } from '../utils/fingerprint.js';
+
+const BATCH = 2000;
+
+async function backfillChat(chatId) {
+  // fp_seq values already taken per fingerprint
+  const taken = new Map();
+  const [existing] = await pool.execute(
+    'SELECT fingerprint, fp_seq FROM messages WHERE chat_id = ? AND fingerprint IS NOT NULL',
+    [chatId]
+  );
+  for (const r of existing) taken.set(r.fingerprint, (taken.get(r.fingerprint) || new Set()).add(r.fp_seq));
+
+  let updated = 0;
+  for (;;) {
+    // oldest first, so identical messages number in the order they were sent;
+    // fingerprinted rows drop out of the next batch
+    const [rows] = await pool.execute(
+      `SELECT id, author, timestamp, content, is_deleted, media_id, media_omitted, media_kind
+       FROM messages
+       WHERE chat_id = ? AND fingerprint IS NULL
+       ORDER BY timestamp ASC, id ASC
+       LIMIT ${BATCH}`,
+      [chatId]
+    );
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      const fingerprint = rowFingerprint(row);
+      const seq = claimFpSeq(taken, fingerprint);
+      await pool.execute('UPDATE messages SET fingerprint = ?, fp_seq = ? WHERE id = ?', [fingerprint, seq, row.id]);
+      updated++;
+    }
+  }
+  return updated;
+}
+
+async function main() {
+  const [chats] = await pool.execute(
+    'SELECT DISTINCT chat_id FROM messages WHERE fingerprint IS NULL ORDER BY chat_id ASC'
+  );
+  let total = 0;
+  for (const { chat_id: chatId } of chats) {
+    const updated = await backfillChat(chatId);
+    total += updated;
+    console.log(`[migrate:fingerprints] Chat ${chatId}: ${updated} messages fingerprinted`);
+  }
+  console.log(`[migrate:fingerprints] Done: ${total} messages in ${chats.length} chats`);
+}
+
+main()
+  .catch(e => {
+    console.error('[migrate:fingerprints] failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
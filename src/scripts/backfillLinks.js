@@ -0,0 +1,42 @@
+// One-off: index the links of messages imported before message_links existed.
+// Safe to re-run: links already indexed are skipped (INSERT IGNORE on message id + url).
+import 'dotenv/config';
+import { pool } from '../db.js';
+import { saveMessageLinks } from '../utils/links.js';
+
+const BATCH = 1000;
+
+async function main() {
+  let lastId = 0;
+  let scanned = 0;
+  let added = 0;
+
+  for (;;) {
+    // cheap pre-filter; extractLinks does the real matching
+    const [rows] = await pool.execute(
+      `SELECT id, chat_id, author, type, content, timestamp FROM messages
+       WHERE id > ? AND (content LIKE '%http%' OR content LIKE '%www.%')
+       ORDER BY id ASC LIMIT ${BATCH}`,
+      [lastId]
+    );
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      added += await saveMessageLinks(pool, {
+        chatId: row.chat_id, messageId: row.id, author: row.author, type: row.type, content: row.content, timestamp: row.timestamp
+      });
+    }
+    scanned += rows.length;
+    console.log(`[migrate:links] ${scanned} messages scanned, ${added} links added (last message id ${lastId})`);
+  }
+
+  console.log(`[migrate:links] Done: ${added} links added`);
+}
+
+main()
+  .catch(e => {
+    console.error('[migrate:links] failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,62 @@
+// One-off: render thumbnails and read metadata (dimensions, durations, EXIF capture time)
+// for media rows stored before these existed. Safe to re-run; only empty fields are filled.
+import 'dotenv/config';
+import fs from 'fs/promises';
+import { pool } from '../db.js';
+import { mediaFilePath, storeMediaFile } from '../utils/mediaStore.js';
+
+const BATCH = 200;
+
+async function main() {
+  const stats = { updated: 0, missing: 0 };
+  let lastId = 0;
+
+  for (;;) {
+    const [rows] = await pool.execute(
+      `SELECT id, storage_path, original_name FROM media
+       WHERE id > ?
+         AND ((mime_type LIKE 'image/%' AND (thumbnails IS NULL OR width IS NULL))
+           OR ((mime_type LIKE 'audio/%' OR mime_type LIKE 'video/%') AND duration_ms IS NULL))
+       ORDER BY id ASC LIMIT ${BATCH}`,
+      [lastId]
+    );
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      let data;
+      try {
+        data = await fs.readFile(mediaFilePath(row.storage_path));
+      } catch {
+        stats.missing++;
+        console.warn(`[migrate:media-metadata] media ${row.id}: file not found at ${row.storage_path}`);
+        continue;
+      }
+
+      // the file is already in place; this renders missing thumbnails and probes the headers
+      const info = await storeMediaFile(data, row.original_name || row.storage_path);
+      await pool.execute(
+        `UPDATE media SET
+           width = COALESCE(width, ?), height = COALESCE(height, ?), duration_ms = COALESCE(duration_ms, ?),
+           captured_at = COALESCE(captured_at, ?), captured_offset = COALESCE(captured_offset, ?),
+           thumbnails = COALESCE(thumbnails, ?)
+         WHERE id = ?`,
+        [
+          info.width, info.height, info.durationMs, info.capturedAt, info.capturedOffset,
+          info.thumbnails ? JSON.stringify(info.thumbnails) : null, row.id
+        ]
+      );
+      stats.updated++;
+    }
+    console.log(`[migrate:media-metadata] ${stats.updated} processed so far (last media id ${lastId})`);
+  }
+
+  console.log(`[migrate:media-metadata] Done: ${stats.updated} processed, ${stats.missing} missing files`);
+}
+
+main()
+  .catch(e => {
+    console.error('[migrate:media-metadata] failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
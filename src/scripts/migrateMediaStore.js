@@ -0,0 +1,66 @@
+// One-off migration: move files referenced by messages.media_path (/uploads/<user>/<chat>/<name>)
+// into the content-addressed media store and point the messages at media rows instead.
+// Safe to re-run: only rows that still have media_path and no media_id are touched.
+import 'dotenv/config';
+import path from 'path';
+import fs from 'fs/promises';
+import { pool } from '../db.js';
+import { saveMedia, uploadRoot } from '../utils/mediaStore.js';
+
+const BATCH = 500;
+
+async function main() {
+  const stats = { converted: 0, missing: 0 };
+  const oldFiles = new Set();
+  let lastId = 0;
+
+  for (;;) {
+    let rows;
+    try {
+      [rows] = await pool.execute(
+        `SELECT m.id, m.media_path, c.user_id FROM messages m JOIN chats c ON c.id = m.chat_id
+         WHERE m.id > ? AND m.media_path IS NOT NULL AND m.media_id IS NULL
+         ORDER BY m.id ASC LIMIT ${BATCH}`,
+        [lastId]
+      );
+    } catch (e) {
+      // fresh installs never had media_path
+      if (e.code === 'ER_BAD_FIELD_ERROR') break;
+      throw e;
+    }
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      lastId = row.id;
+      const rel = row.media_path.replace(/^\/?uploads\//, '');
+      const filePath = path.join(uploadRoot(), rel);
+
+      let data;
+      try {
+        data = await fs.readFile(filePath);
+      } catch {
+        stats.missing++;
+        console.warn(`[migrate:media] message ${row.id}: file not found at ${filePath}, left as is`);
+        continue;
+      }
+
+      const media = await saveMedia(pool, row.user_id, data, path.basename(rel));
+      await pool.execute('UPDATE messages SET media_id = ?, media_path = NULL WHERE id = ?', [media.id, row.id]);
+      oldFiles.add(filePath);
+      stats.converted++;
+    }
+    console.log(`[migrate:media] ${stats.converted} converted so far (last message id ${lastId})`);
+  }
+
+  // The per-chat copies are now redundant
+  for (const f of oldFiles) await fs.unlink(f).catch(() => { });
+
+  console.log(`[migrate:media] Done: ${stats.converted} converted, ${stats.missing} missing files, ${oldFiles.size} old files removed`);
+}
+
+main()
+  .catch(e => {
+    console.error('[migrate:media] failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,79 @@
+// One-off: convert messages imported before timestamps were UTC (tz_offset NULL, see migration 002).
+// Those hold the export's naive wall time; it is read in the owner's timezone (users.timezone),
+// or in --tz <zone> for users without one (default: this server's zone), and stored as UTC plus
+// tz_offset. Their events and links follow, and their fingerprints are cleared for
+// `npm run migrate:fingerprints` to recompute. Safe to re-run: converted rows have a tz_offset.
+import 'dotenv/config';
+import { pool, bumpChatDataVersion } from '../db.js';
+import { formatIso, isValidTimeZone, wallTimeToUtc } from '../utils/time.js';
+
+const BATCH = 1000;
+
+function fallbackZone() {
+  const i = process.argv.indexOf('--tz');
+  const tz = i >= 0 ? process.argv[i + 1] : Intl.DateTimeFormat().resolvedOptions().timeZone;
+  if (!isValidTimeZone(tz)) throw new Error(`Unknown timezone: ${tz}`);
+  return tz;
+}
+
+async function convertChat(chatId, tz) {
+  let converted = 0;
+  for (;;) {
+    // converted rows drop out of the next batch
+    const [rows] = await pool.execute(
+      `SELECT id, timestamp FROM messages
+       WHERE chat_id = ? AND tz_offset IS NULL AND timestamp IS NOT NULL
+       ORDER BY id ASC LIMIT ${BATCH}`,
+      [chatId]
+    );
+    if (!rows.length) break;
+
+    const conn = await pool.getConnection();
+    try {
+      await conn.beginTransaction();
+      for (const row of rows) {
+        // read back as UTC by the pool, so its UTC fields are the stored wall time
+        const { utc, offset } = wallTimeToUtc(formatIso(row.timestamp).slice(0, 19), tz);
+        await conn.execute(
+          'UPDATE messages SET timestamp = ?, tz_offset = ?, fingerprint = NULL, fp_seq = 0 WHERE id = ?',
+          [utc, offset, row.id]
+        );
+        await conn.execute('UPDATE chat_events SET timestamp = ? WHERE message_id = ?', [utc, row.id]);
+        await conn.execute('UPDATE message_links SET timestamp = ? WHERE message_id = ?', [utc, row.id]);
+      }
+      await conn.commit();
+    } catch (e) {
+      await conn.rollback();
+      throw e;
+    } finally {
+      conn.release();
+    }
+    converted += rows.length;
+  }
+  if (converted) await bumpChatDataVersion(pool, [chatId]);
+  return converted;
+}
+
+async function main() {
+  const fallback = fallbackZone();
+  const [chats] = await pool.execute(
+    `SELECT c.id, u.timezone FROM chats c JOIN users u ON u.id = c.user_id
+     WHERE EXISTS (SELECT 1 FROM messages m WHERE m.chat_id = c.id AND m.tz_offset IS NULL AND m.timestamp IS NOT NULL)
+     ORDER BY c.id ASC`
+  );
+  let total = 0;
+  for (const chat of chats) {
+    const tz = isValidTimeZone(chat.timezone) ? chat.timezone : fallback;
+    const converted = await convertChat(chat.id, tz);
+    total += converted;
+    console.log(`[migrate:timestamps] chat ${chat.id}: ${converted} messages converted from ${tz}`);
+  }
+  console.log(`[migrate:timestamps] Done: ${total} messages in ${chats.length} chats`);
+}
+
+main()
+  .catch(e => {
+    console.error('[migrate:timestamps] failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -2,13 +2,21 @@ import 'dotenv/config';
 import 'express-async-errors';
 import express from 'express';
 import cors from 'cors';   // 👈 add this
-import path from 'path';
-import { fileURLToPath } from 'url';
 
 import authRoutes from './routes/auth.js';
 import chatRoutes from './routes/chats.js';
 import messageRoutes from './routes/messages.js';
 import uploadRoutes from './routes/upload.js';
+import searchRoutes from './routes/search.js';
+import mediaRoutes from './routes/media.js';
+import linkRoutes from './routes/links.js';
+import exportRoutes from './routes/export.js';
+import statsRoutes from './routes/stats.js';
+import contactRoutes from './routes/contacts.js';
+import meRoutes from './routes/me.js';
+import jobRoutes from './routes/jobs.js';
+import { startImportWorker } from './utils/importJobs.js';
+import { startMediaCleanup } from './utils/mediaStore.js';
 
 const app = express();
 
@@ -16,23 +24,27 @@ const app = express();
 app.use(cors({
   origin: "*",  // allow all domains
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-Chunk-Sha256"],
   credentials: true
 }));
 
 app.use(express.json());
 
-// static media (secured by path scoping; data ownership enforced at query time)
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const uploadsDir = process.env.UPLOAD_ROOT || 'uploads';
-app.use('/uploads', express.static(path.join(__dirname, '..', uploadsDir)));
+// media is served by GET /api/media/:id (ownership or signed URL); UPLOAD_ROOT is not exposed statically
 
 // routes
 app.use('/api', authRoutes);
 app.use('/api', uploadRoutes);
 app.use('/api', chatRoutes);
 app.use('/api', messageRoutes);
+app.use('/api', searchRoutes);
+app.use('/api', mediaRoutes);
+app.use('/api', linkRoutes);
+app.use('/api', exportRoutes);
+app.use('/api', statsRoutes);
+app.use('/api', contactRoutes);
+app.use('/api', meRoutes);
+app.use('/api', jobRoutes);
 
 // centralized error handler
 app.use((err, req, res, _next) => {
@@ -41,4 +53,9 @@ app.use((err, req, res, _next) => {
 });
 
 const port = process.env.PORT || 5000;
-app.listen(port, () => console.log(`API running on http://localhost:${port}`));
\ No newline at end of file
+app.listen(port, () => console.log(`API running on http://localhost:${port}`));
+
+// queued imports, and those interrupted on any instance, continue from their last checkpoint
+startImportWorker();
+// files of deleted chats and messages
+startMediaCleanup();
\ No newline at end of file
@@ -0,0 +1,175 @@
+// Chat analytics computed in one pass over a chat's messages (oldest first):
+// counts per author / type, weekday × hour heatmap, daily / monthly timelines, streaks and gaps,
+// top words, emoji frequency and response times between participants.
+import { formatIso } from './time.js';
+
+// Default stop words (English plus the filler WhatsApp exports are full of); extend per request
+export const DEFAULT_STOP_WORDS = [
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because', 'been',
+  'but', 'by', 'can', 'could', 'did', 'do', 'does', 'dont', "don't", 'for', 'from', 'get', 'got', 'had', 'has',
+  'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', "i'm", 'im', 'if', 'in', 'into', 'is', 'it', "it's",
+  'its', 'just', 'me', 'my', 'no', 'not', 'now', 'of', 'ok', 'okay', 'on', 'one', 'or', 'our', 'out', 'so',
+  'she', 'should', 'that', "that's", 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'too',
+  'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'would',
+  'yes', 'you', "you're", 'your', 'omitted', 'media', 'deleted', 'message', 'edited', 'attached', 'file'
+];
+
+// Gaps longer than this are a new conversation, not a reply
+const RESPONSE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const TOP_GAPS = 5;
+const TOP_STREAKS = 3;
+
+const WORD_RE = /\p{L}[\p{L}\p{M}'’]*/gu;
+const URL_RE = /\b(?:https?:\/\/|www\.)\S+/gi;
+const EMOJI_RE = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+function topEntries(map, n, key) {
+  return [...map.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, n)
+    .map(([value, count]) => ({ [key]: value, count }));
+}
+
+/** Days between two 'YYYY-MM-DD' dates */
+function dayDiff(a, b) {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Accumulator for chat statistics. Feed messages oldest first with add(), then call result().
+ * Options: offsetFor(date) -> minutes (fixed zone; default: each sender's tz_offset),
+ *          stopWords (array), top (number of words / emoji to return).
+ */
+export function createStatsAccumulator({ offsetFor = null, stopWords = DEFAULT_STOP_WORDS, top = 50 } = {}) {
+  const stop = new Set(stopWords.map(w => w.toLowerCase()));
+  const authors = new Map(); // author -> { messages, words, media, deleted }
+  const types = new Map();
+  // heatmap[weekday][hour], weekday 0 = Sunday, in the rendering zone
+  const heatmap = Array.from({ length: 7 }, () => Array(24).fill(0));
+  const daily = new Map();
+  const monthly = new Map();
+  const words = new Map();
+  const emoji = new Map();
+  const responses = new Map(); // responder -> [ms]
+  const gaps = [];
+  let total = 0;
+  let first = null;
+  let last = null;
+  let prev = null; // previous non-system message { author, time }
+
+  function authorEntry(name) {
+    if (!authors.has(name)) authors.set(name, { messages: 0, words: 0, media: 0, deleted: 0 });
+    return authors.get(name);
+  }
+
+  function countText(text, entry) {
+    const clean = text.replace(URL_RE, ' ');
+    for (const [w] of clean.matchAll(WORD_RE)) {
+      entry.words++;
+      const word = w.toLowerCase().replace(/’/g, "'");
+      if (word.length < 2 || stop.has(word)) continue;
+      words.set(word, (words.get(word) || 0) + 1);
+    }
+    if (!EMOJI_RE.test(clean)) return;
+    // grapheme clusters keep ZWJ sequences, skin tones and flags together
+    for (const { segment } of segmenter.segment(clean)) {
+      if (EMOJI_RE.test(segment)) emoji.set(segment, (emoji.get(segment) || 0) + 1);
+    }
+  }
+
+  function add(msg) {
+    total++;
+    types.set(msg.type, (types.get(msg.type) || 0) + 1);
+    if (msg.type === 'system') return;
+
+    const name = msg.author || '(unknown)';
+    const entry = authorEntry(name);
+    entry.messages++;
+    if (msg.media_id || msg.media_omitted) entry.media++;
+    if (msg.is_deleted) entry.deleted++;
+    if (msg.type === 'text' && !msg.is_deleted && msg.content) countText(msg.content, entry);
+
+    if (!msg.timestamp) return;
+    const time = new Date(msg.timestamp).getTime();
+    const offset = offsetFor ? offsetFor(msg.timestamp) : msg.tz_offset ?? 0;
+    const local = formatIso(msg.timestamp, offset);
+    const day = local.slice(0, 10);
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    heatmap[weekday][Number(local.slice(11, 13))]++;
+    daily.set(day, (daily.get(day) || 0) + 1);
+    monthly.set(day.slice(0, 7), (monthly.get(day.slice(0, 7)) || 0) + 1);
+
+    if (prev) {
+      const diff = time - prev.time;
+      gaps.push({ from: prev.local, to: local, ms: diff });
+      // keep only the longest few
+      if (gaps.length > TOP_GAPS * 4) {
+        gaps.sort((a, b) => b.ms - a.ms);
+        gaps.length = TOP_GAPS;
+      }
+      if (prev.author !== name && diff <= RESPONSE_WINDOW_MS) {
+        if (!responses.has(name)) responses.set(name, []);
+        responses.get(name).push(diff);
+      }
+    }
+    prev = { author: name, time, local };
+    if (!first) first = local;
+    last = local;
+  }
+
+  function streaks() {
+    const runs = [];
+    let run = null;
+    for (const day of [...daily.keys()].sort()) {
+      if (run && dayDiff(run.end, day) === 1) {
+        run.end = day;
+        run.days++;
+      } else {
+        if (run) runs.push(run);
+        run = { start: day, end: day, days: 1 };
+      }
+    }
+    if (run) runs.push(run);
+    return runs.sort((a, b) => b.days - a.days || (a.start < b.start ? -1 : 1)).slice(0, TOP_STREAKS);
+  }
+
+  function result() {
+    const allResponses = [...responses.values()].flat();
+    return {
+      totals: { messages: total, authors: authors.size, activeDays: daily.size, first, last },
+      authors: [...authors.entries()]
+        .map(([author, s]) => ({ author, ...s }))
+        .sort((a, b) => b.messages - a.messages),
+      types: Object.fromEntries(types),
+      heatmap,
+      // senders' offsets can put a later message on an earlier local day: sort
+      daily: [...daily.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1)).map(([date, count]) => ({ date, count })),
+      monthly: [...monthly.entries()].sort((a, b) => (a[0] < b[0] ? -1 : 1)).map(([month, count]) => ({ month, count })),
+      streaks: streaks(),
+      gaps: gaps
+        .sort((a, b) => b.ms - a.ms)
+        .slice(0, TOP_GAPS)
+        .map(g => ({ from: g.from, to: g.to, hours: Math.round((g.ms / 3600000) * 10) / 10 })),
+      topWords: topEntries(words, top, 'word'),
+      emoji: topEntries(emoji, top, 'emoji'),
+      responseTimes: {
+        medianSeconds: allResponses.length ? Math.round(median(allResponses) / 1000) : null,
+        byAuthor: [...responses.entries()].map(([author, values]) => ({
+          author,
+          medianSeconds: Math.round(median(values) / 1000),
+          replies: values.length
+        }))
+      }
+    };
+  }
+
+  return { add, result };
+}
@@ -0,0 +1,201 @@
+// Contacts: one person per app user behind the many author strings exports use for them
+// ("Alice", "~ Alice", "+91 98765 43210", "Alice Work"). contact_aliases maps normalized author
+// strings ('author') and phone numbers ('phone', digits only) to a contact.
+
+// Direction marks, isolates and NBSPs WhatsApp wraps around names and numbers
+const CLEAN_RE = /[\u200E\u200F\u202A-\u202E\u2066-\u2069\u00A0\u202F]/g;
+const PHONE_RE = /^\+?[\d\s\-().]+$/;
+const MIN_PHONE_DIGITS = 7;
+// Numbers match when their last digits agree: "+91 98765 43210" and "098765 43210" are the same phone
+const PHONE_MATCH_DIGITS = 9;
+
+/** Author string as shown to people: bidi marks, the "~ " unsaved-contact prefix and extra spaces removed */
+export function cleanAuthor(author) {
+  return String(author ?? '').replace(CLEAN_RE, ' ').replace(/^\s*~\s*/, '').replace(/\s+/g, ' ').trim();
+}
+
+/** Digits of a phone number ("+91 98765-43210" -> "919876543210"), or null if the text isn't one */
+export function phoneDigits(value) {
+  const text = cleanAuthor(value);
+  if (!PHONE_RE.test(text)) return null;
+  const digits = text.replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits : null;
+}
+
+/** Match key for an author string: "tel:<digits>" for numbers, else the lowercased clean name */
+export function authorKey(author) {
+  const clean = cleanAuthor(author).normalize('NFC');
+  if (!clean) return null;
+  const digits = phoneDigits(clean);
+  return digits ? `tel:${digits}` : clean.toLowerCase().slice(0, 191);
+}
+
+/** Ids of the user's contacts holding this phone number (exact, or same last PHONE_MATCH_DIGITS digits) */
+export async function findContactsByPhone(conn, userId, digits) {
+  let sql = "SELECT DISTINCT contact_id FROM contact_aliases WHERE user_id = ? AND kind = 'phone' AND (value = ?";
+  const params = [userId, digits];
+  if (digits.length >= PHONE_MATCH_DIGITS) {
+    sql += ` OR (CHAR_LENGTH(value) >= ${PHONE_MATCH_DIGITS} AND RIGHT(value, ${PHONE_MATCH_DIGITS}) = ?)`;
+    params.push(digits.slice(-PHONE_MATCH_DIGITS));
+  }
+  const [rows] = await conn.execute(`${sql})`, params);
+  return rows.map(r => r.contact_id);
+}
+
+async function createContact(conn, userId, name, nameSource) {
+  const [result] = await conn.execute(
+    'INSERT INTO contacts (user_id, display_name, name_source) VALUES (?, ?, ?)',
+    [userId, name.slice(0, 191), nameSource]
+  );
+  return result.insertId;
+}
+
+async function addAlias(conn, userId, contactId, kind, value, label) {
+  await conn.execute(
+    'INSERT IGNORE INTO contact_aliases (user_id, contact_id, kind, value, label) VALUES (?, ?, ?, ?, ?)',
+    [userId, contactId, kind, value, label ? String(label).slice(0, 191) : null]
+  );
+}
+
+/**
+ * Make sure every author string has a contact. Unknown names get a contact of their own; unknown
+ * numbers join the contact that already has that phone (e.g. from a vCard import) or get a new one.
+ * Returns the number of contacts created.
+ */
+export async function linkAuthors(conn, userId, authors) {
+  let created = 0;
+  for (const author of new Set(authors)) {
+    const key = authorKey(author);
+    if (!key) continue;
+    const [known] = await conn.execute(
+      "SELECT id FROM contact_aliases WHERE user_id = ? AND kind = 'author' AND value = ?",
+      [userId, key]
+    );
+    if (known.length) continue;
+
+    const digits = phoneDigits(author);
+    let contactId = digits ? (await findContactsByPhone(conn, userId, digits))[0] : null;
+    if (!contactId) {
+      contactId = await createContact(conn, userId, cleanAuthor(author), 'author');
+      created++;
+    }
+    await addAlias(conn, userId, contactId, 'author', key, cleanAuthor(author));
+    if (digits) await addAlias(conn, userId, contactId, 'phone', digits, cleanAuthor(author));
+  }
+  return created;
+}
+
+/** Move the aliases of `sourceIds` to `targetId` and delete the source contacts */
+export async function mergeContacts(conn, userId, targetId, sourceIds) {
+  const ids = sourceIds.filter(id => id !== targetId);
+  if (!ids.length) return 0;
+  const placeholders = ids.map(() => '?').join(',');
+  await conn.execute(
+    `UPDATE contact_aliases SET contact_id = ? WHERE user_id = ? AND contact_id IN (${placeholders})`,
+    [targetId, userId, ...ids]
+  );
+  const [result] = await conn.execute(
+    `DELETE FROM contacts WHERE user_id = ? AND id IN (${placeholders})`,
+    [userId, ...ids]
+  );
+  return result.affectedRows;
+}
+
+/** Digits of a vCard phone; waid= is the full international number WhatsApp uses for the contact */
+function phoneOf(phone) {
+  const waId = phone.waId?.replace(/\D/g, '');
+  return waId && waId.length >= MIN_PHONE_DIGITS ? waId : phoneDigits(phone.value);
+}
+
+/**
+ * Apply parsed vCards (parseVCards) to the user's contacts. A card's numbers find the contacts they
+ * belong to; a contact with the card's name and no other number is the same person too. Those are
+ * merged and take the card's name, unless the user renamed them. Cards matching nothing are kept
+ * as new contacts so later imports resolve their numbers.
+ * Returns { cards, created, updated, merged, skipped }.
+ */
+export async function importVCards(conn, userId, cards) {
+  const stats = { cards: cards.length, created: 0, updated: 0, merged: 0, skipped: 0 };
+
+  for (const card of cards) {
+    const name = cleanAuthor(card.name);
+    const phones = [...new Set(card.phones.map(phoneOf).filter(Boolean))];
+    if (!name || !phones.length) {
+      stats.skipped++;
+      continue;
+    }
+
+    const ids = new Set();
+    for (const digits of phones) {
+      for (const id of await findContactsByPhone(conn, userId, digits)) ids.add(id);
+    }
+
+    const [named] = await conn.execute(
+      `SELECT a.contact_id,
+              (SELECT GROUP_CONCAT(p.value) FROM contact_aliases p
+               WHERE p.contact_id = a.contact_id AND p.kind = 'phone') AS phones
+       FROM contact_aliases a
+       WHERE a.user_id = ? AND a.kind = 'author' AND a.value = ?`,
+      [userId, authorKey(name)]
+    );
+    const sameNumber = digits => phones.some(p => p.slice(-PHONE_MATCH_DIGITS) === digits.slice(-PHONE_MATCH_DIGITS));
+    const nameMatch = named.find(r => !r.phones || r.phones.split(',').some(sameNumber));
+    if (nameMatch) ids.add(nameMatch.contact_id);
+
+    let targetId;
+    if (!ids.size) {
+      targetId = await createContact(conn, userId, name, 'vcard');
+      stats.created++;
+    } else {
+      const [rows] = await conn.execute(
+        `SELECT id, display_name, name_source FROM contacts WHERE user_id = ? AND id IN (${[...ids].map(() => '?').join(',')})`,
+        [userId, ...ids]
+      );
+      // keep a name the user chose, then the contact already called this, then the oldest
+      const target = rows.find(r => r.name_source === 'user') ||
+        rows.find(r => r.id === nameMatch?.contact_id) ||
+        rows.sort((a, b) => a.id - b.id)[0];
+      targetId = target.id;
+      stats.merged += await mergeContacts(conn, userId, targetId, rows.map(r => r.id));
+      if (target.name_source !== 'user' && target.display_name !== name) {
+        await conn.execute(
+          "UPDATE contacts SET display_name = ?, name_source = 'vcard' WHERE id = ?",
+          [name.slice(0, 191), targetId]
+        );
+        stats.updated++;
+      }
+    }
+
+    const labels = new Map(card.phones.map(p => [phoneOf(p), p.value]));
+    for (const digits of phones) await addAlias(conn, userId, targetId, 'phone', digits, labels.get(digits));
+  }
+  return stats;
+}
+
+/**
+ * Resolve author strings to the user's contacts in one query.
+ * Returns Map(author -> { id, name }); authors without a contact are left out.
+ */
+export async function resolveAuthors(conn, userId, authors) {
+  const keys = new Map();
+  for (const author of new Set(authors)) {
+    const key = authorKey(author);
+    if (key) keys.set(author, key);
+  }
+  const identities = new Map();
+  if (!keys.size) return identities;
+
+  const values = [...new Set(keys.values())];
+  const [rows] = await conn.execute(
+    `SELECT a.value, c.id, c.display_name
+     FROM contact_aliases a
+     JOIN contacts c ON c.id = a.contact_id
+     WHERE a.user_id = ? AND a.kind = 'author' AND a.value IN (${values.map(() => '?').join(',')})`,
+    [userId, ...values]
+  );
+  const byKey = new Map(rows.map(r => [r.value, { id: r.id, name: r.display_name }]));
+  for (const [author, key] of keys) {
+    if (byKey.has(key)) identities.set(author, byKey.get(key));
+  }
+  return identities;
+}
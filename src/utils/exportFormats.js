@@ -0,0 +1,201 @@
+// Chat export writers. Each format turns one message row at a time into text, so exports can be
+// streamed: { contentType, extension, header(chat), row(msg), footer() }.
+// Rows come from the export query: message columns plus media_name (file name inside an HTML archive),
+// media_mime, media_size, media_original_name.
+import { formatIso } from './time.js';
+
+// messages.media_kind -> the word iOS uses in "<kind> omitted"
+const OMITTED_WORDS = {
+  image: 'image', video: 'video', audio: 'audio', sticker: 'sticker', gif: 'GIF', document: 'document', contact: 'Contact card'
+};
+
+/** Wall time of a message: in `tz` (offset supplied by the caller) or at the sender's offset */
+function localIso(msg, tzOffsetFor) {
+  if (!msg.timestamp) return null;
+  const offset = tzOffsetFor ? tzOffsetFor(msg.timestamp) : msg.tz_offset ?? 0;
+  return formatIso(msg.timestamp, offset);
+}
+
+/**
+ * Message text the way WhatsApp writes it, markers included, so the export parses back
+ * to the same flags / types.
+ */
+export function exportText(msg) {
+  if (msg.is_deleted) return 'This message was deleted';
+  let text = msg.content || '';
+  if (msg.media_omitted) {
+    const word = OMITTED_WORDS[msg.media_kind];
+    if (!word) text = '<Media omitted>';
+    else text = word === 'document' && text ? `${text} • document omitted` : `${word} omitted`;
+  }
+  return msg.is_edited ? `${text} <This message was edited>` : text;
+}
+
+function parsePayload(payload) {
+  return typeof payload === 'string' ? JSON.parse(payload) : payload ?? null;
+}
+
+// ─── txt: WhatsApp iOS layout with seconds ("[24/07/2025, 18:30:12] Name: text") ───
+// Seconds keep timestamps exact, so re-importing the file skips every message as a duplicate.
+function txtFormat({ dateOrder = 'DMY', tzOffsetFor }) {
+  return {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'txt',
+    header: () => '',
+    row(msg) {
+      const iso = localIso(msg, tzOffsetFor);
+      if (!iso) return ''; // no usable header without a date
+      const [y, mo, d] = iso.slice(0, 10).split('-');
+      const date = dateOrder === 'MDY' ? `${mo}/${d}/${y}` : `${d}/${mo}/${y}`;
+      const stamp = `[${date}, ${iso.slice(11, 19)}]`;
+      // system lines have no "Author:" part
+      if (msg.type === 'system') return `${stamp} ${msg.content}\n`;
+      return `${stamp} ${msg.author || ''}: ${exportText(msg)}\n`;
+    },
+    footer: () => ''
+  };
+}
+
+// ─── json: { chat, messages: [...] } ───
+function jsonFormat({ tzOffsetFor }) {
+  let first = true;
+  return {
+    contentType: 'application/json; charset=utf-8',
+    extension: 'json',
+    header: chat => `{"chat":${JSON.stringify({ id: chat.id, name: chat.name, exportedAt: new Date().toISOString() })},"messages":[\n`,
+    row(msg) {
+      const out = {
+        id: msg.id,
+        timestamp: localIso(msg, tzOffsetFor),
+        author: msg.author,
+        type: msg.type,
+        content: msg.content,
+        payload: parsePayload(msg.payload),
+        deleted: Boolean(msg.is_deleted),
+        edited: Boolean(msg.is_edited),
+        media_omitted: Boolean(msg.media_omitted),
+        media_kind: msg.media_kind,
+        media: msg.media_name
+          ? { file: msg.media_original_name || msg.media_name, mime_type: msg.media_mime, size: Number(msg.media_size) }
+          : null
+      };
+      const line = `${first ? '' : ',\n'}${JSON.stringify(out)}`;
+      first = false;
+      return line;
+    },
+    footer: () => '\n]}\n'
+  };
+}
+
+// ─── csv: RFC 4180, one message per row ───
+const CSV_COLUMNS = ['id', 'timestamp', 'author', 'type', 'content', 'deleted', 'edited', 'media_omitted', 'media_file', 'media_mime', 'media_size'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvFormat({ tzOffsetFor }) {
+  return {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // BOM so spreadsheet apps read the file as UTF-8
+    header: () => `\uFEFF${CSV_COLUMNS.join(',')}\r\n`,
+    row(msg) {
+      const values = [
+        msg.id, localIso(msg, tzOffsetFor), msg.author, msg.type, msg.content,
+        msg.is_deleted ? 1 : 0, msg.is_edited ? 1 : 0, msg.media_omitted ? 1 : 0,
+        msg.media_name ? msg.media_original_name || msg.media_name : null, msg.media_mime, msg.media_size
+      ];
+      return `${values.map(csvCell).join(',')}\r\n`;
+    },
+    footer: () => ''
+  };
+}
+
+// ─── html: standalone page for the HTML archive (media under media/) ───
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+const PAGE_STYLE = `
+body { margin: 0; font: 15px/1.4 system-ui, sans-serif; background: #efeae2; color: #111b21; }
+header { position: sticky; top: 0; padding: 12px 16px; background: #075e54; color: #fff; font-weight: 600; }
+main { max-width: 820px; margin: 0 auto; padding: 12px; }
+.day { margin: 16px auto 8px; width: fit-content; padding: 4px 12px; border-radius: 8px; background: #fff; font-size: 13px; color: #54656f; }
+.msg { max-width: 75%; margin: 4px 0; padding: 6px 10px; border-radius: 8px; background: #fff; box-shadow: 0 1px 1px rgba(0,0,0,.1); }
+.msg .author { font-size: 13px; font-weight: 600; color: #128c7e; }
+.msg .text { white-space: pre-wrap; word-wrap: break-word; }
+.msg .meta { text-align: right; font-size: 11px; color: #667781; }
+.msg.deleted .text { font-style: italic; color: #667781; }
+.system { margin: 8px auto; width: fit-content; max-width: 80%; padding: 4px 10px; border-radius: 8px; background: #fff5c4; font-size: 13px; text-align: center; }
+.msg img, .msg video { display: block; max-width: 100%; max-height: 360px; margin: 4px 0; border-radius: 4px; }
+.msg audio { display: block; margin: 4px 0; }
+`;
+
+function mediaHtml(msg) {
+  if (!msg.media_name) return '';
+  const src = `media/${encodeURIComponent(msg.media_name)}`;
+  const mime = msg.media_mime || '';
+  if (mime.startsWith('image/')) return `<a href="${src}"><img src="${src}" loading="lazy" alt=""></a>`;
+  if (mime.startsWith('video/')) return `<video src="${src}" controls preload="none"></video>`;
+  if (mime.startsWith('audio/')) return `<audio src="${src}" controls preload="none"></audio>`;
+  return `<a href="${src}">${escapeHtml(msg.media_original_name || msg.media_name)}</a>`;
+}
+
+function htmlFormat({ tzOffsetFor }) {
+  let lastDay = null;
+  return {
+    contentType: 'text/html; charset=utf-8',
+    extension: 'html',
+    header: chat => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(chat.name)}</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<header>${escapeHtml(chat.name)}</header>
+<main>
+`,
+    row(msg) {
+      const iso = localIso(msg, tzOffsetFor);
+      let out = '';
+      const day = iso ? iso.slice(0, 10) : null;
+      if (day && day !== lastDay) {
+        out += `<div class="day">${day}</div>\n`;
+        lastDay = day;
+      }
+      const time = iso ? iso.slice(11, 16) : '';
+      if (msg.type === 'system') return `${out}<div class="system">${escapeHtml(msg.content)}</div>\n`;
+
+      const classes = ['msg', msg.is_deleted ? 'deleted' : ''].filter(Boolean).join(' ');
+      const text = msg.media_name && !msg.media_omitted ? msg.content : exportText(msg);
+      return `${out}<div class="${classes}" id="m${msg.id}">` +
+        `<div class="author">${escapeHtml(msg.author)}</div>` +
+        mediaHtml(msg) +
+        (text ? `<div class="text">${escapeHtml(text)}</div>` : '') +
+        `<div class="meta">${time}${msg.is_edited ? ' · edited' : ''}</div></div>\n`;
+    },
+    footer: () => '</main>\n</body>\n</html>\n'
+  };
+}
+
+export const EXPORT_FORMATS = ['txt', 'json', 'csv', 'html'];
+
+/**
+ * Writer for `format`. Options: dateOrder ('DMY' | 'MDY', txt only) and tzOffsetFor(date) -> minutes
+ * to render in a fixed zone instead of each sender's offset.
+ */
+export function createExportWriter(format, options = {}) {
+  switch (format) {
+    case 'txt': return txtFormat(options);
+    case 'json': return jsonFormat(options);
+    case 'csv': return csvFormat(options);
+    case 'html': return htmlFormat(options);
+    default: return null;
+  }
+}
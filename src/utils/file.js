@@ -22,3 +22,28 @@ export function safeName(name) {
 export function detectMime(filename) {
   return mimeLookup(filename) || 'application/octet-stream';
 }
+
+/** MIME type from the file's magic bytes, or null when the signature is unknown */
+export function sniffMime(buf) {
+  if (!buf || buf.length < 12) return null;
+  const ascii = (start, end) => buf.toString('latin1', start, end);
+
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+  if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+  if (ascii(0, 4) === 'OggS') return 'audio/ogg';
+  if (buf[0] === 0xff && (buf[1] & 0xf6) === 0xf0) return 'audio/aac';
+  if (ascii(0, 3) === 'ID3' || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0)) return 'audio/mpeg';
+  if (/^BEGIN:VCARD/i.test(ascii(0, 11))) return 'text/vcard';
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (brand === 'qt  ') return 'video/quicktime';
+    if (brand.startsWith('M4A')) return 'audio/mp4';
+    if (brand === 'heic' || brand === 'heix' || brand === 'mif1') return 'image/heic';
+    return 'video/mp4';
+  }
+  return null;
+}
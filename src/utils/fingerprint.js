@@ -0,0 +1,177 @@
+// Message fingerprints: what makes two exported lines "the same message", whichever phone or export
+// format they came from. sha256 of author + UTC minute + body, plus fp_seq, the message's ordinal
+// among identical ones (two "ok"s from the same person in the same minute are two messages).
+// Minute precision lets exports with seconds match those without; media messages match with or
+// without the file ("<attached: ...>" vs "image omitted"), and whether the ZIP carried it.
+import crypto from 'crypto';
+import { authorKey } from './contacts.js';
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/** Comparable text: line endings, Unicode form and surrounding space don't make a different message */
+function normalizeText(text) {
+  return String(text ?? '').replace(/\r\n?/g, '\n').normalize('NFC').trim();
+}
+
+/** UTC minute of a timestamp ("2025-07-24T18:30"), '' when unknown */
+function utcMinute(date) {
+  return date ? new Date(date).toISOString().slice(0, 16) : '';
+}
+
+/** Fingerprint of one message: { author, timestamp (UTC Date), deleted, media, content } */
+export function fingerprintOf({ author, timestamp, deleted, media, content }) {
+  const body = deleted ? 'deleted' : media ? 'media' : `text:${normalizeText(content)}`;
+  return sha256(`${authorKey(author) ?? ''}\n${utcMinute(timestamp)}\n${body}`);
+}
+
+/**
+ * Fingerprint of a stored messages row (author, timestamp, content, is_deleted, media_id, media_omitted,
+ * media_kind). A message referencing an attachment has a media_kind even when the file was missing
+ * from the ZIP (media_id NULL), just as the parsed message has one (see fingerprintMessages).
+ */
+export function rowFingerprint(row) {
+  return fingerprintOf({
+    author: row.author,
+    timestamp: row.timestamp,
+    deleted: Boolean(row.is_deleted),
+    media: Boolean(row.media_id || row.media_omitted || row.media_kind),
+    content: row.content
+  });
+}
+
+/** Smallest fp_seq of `fingerprint` not in taken (Map fingerprint -> Set of seqs), which it is added to */
+export function claimFpSeq(taken, fingerprint) {
+  const seqs = taken.get(fingerprint) || new Set();
+  let seq = 0;
+  while (seqs.has(seq)) seq++;
+  seqs.add(seq);
+  taken.set(fingerprint, seqs);
+  return seq;
+}
+
+/**
+ * Set fingerprint / fpSeq on parsed messages already converted to UTC (m.utc), in export order.
+ * Returns the messages.
+ */
+export function fingerprintMessages(messages) {
+  const seen = new Map();
+  for (const m of messages) {
+    m.fingerprint = fingerprintOf({
+      author: m.author,
+      timestamp: m.utc,
+      deleted: m.deleted,
+      media: Boolean(m.filename || m.mediaOmitted || m.mediaKind),
+      content: m.content
+    });
+    m.fpSeq = seen.get(m.fingerprint) || 0;
+    seen.set(m.fingerprint, m.fpSeq + 1);
+  }
+  return messages;
+}
+
+/** Author + UTC minute: where an edited or deleted copy of a stored message would sit */
+function slotOf(author, timestamp) {
+  return `${authorKey(author) ?? ''}\n${utcMinute(timestamp)}`;
+}
+
+/**
+ * Compare parsed messages (fingerprinted, with m.utc) with what chatId already holds.
+ * Returns { fresh, duplicates, conflicts } where each conflict is { message, existingId, reasons }:
+ *   media   – the stored copy was exported without the file this export carries
+ *   edited  – this export shows a stored message as edited
+ *   deleted – this export shows a stored message as deleted
+ * An edited text has a new fingerprint, so "edited" / "deleted" copies are found by author and minute
+ * among the stored messages this export doesn't otherwise contain.
+ * Stored rows not fingerprinted yet (`npm run migrate:fingerprints` pending) are fingerprinted here
+ * the way that backfill will, so they are not imported a second time meanwhile.
+ * hasFile(m) says whether the export carries m's media file.
+ */
+export async function reconcileMessages(conn, chatId, messages, { hasFile = () => false } = {}) {
+  const result = { fresh: [], duplicates: [], conflicts: [] };
+  if (!chatId || !messages.length) {
+    result.fresh = [...messages];
+    return result;
+  }
+
+  // stored rows in the export's time span (a minute of slack either side) and undated ones
+  let first = Infinity;
+  let last = -Infinity;
+  for (const m of messages) {
+    if (!m.utc) continue;
+    first = Math.min(first, m.utc.getTime());
+    last = Math.max(last, m.utc.getTime());
+  }
+  let span = '(timestamp IS NULL';
+  const params = [chatId];
+  if (first <= last) {
+    span += ' OR timestamp BETWEEN ? AND ?';
+    params.push(new Date(first - 60000), new Date(last + 60000));
+  }
+  span += ')';
+  const [rows] = await conn.execute(
+    `SELECT id, author, timestamp, fingerprint, fp_seq, is_edited, is_deleted, media_id
+     FROM messages WHERE chat_id = ? AND fingerprint IS NOT NULL AND ${span}`,
+    params
+  );
+  // oldest first, as the backfill numbers them
+  const [legacy] = await conn.execute(
+    `SELECT id, author, timestamp, content, is_edited, is_deleted, media_id, media_omitted, media_kind
+     FROM messages WHERE chat_id = ? AND fingerprint IS NULL AND ${span}
+     ORDER BY timestamp ASC, id ASC`,
+    params
+  );
+  if (legacy.length) {
+    const taken = new Map();
+    for (const r of rows) taken.set(r.fingerprint, (taken.get(r.fingerprint) || new Set()).add(r.fp_seq));
+    for (const r of legacy) {
+      const fingerprint = rowFingerprint(r);
+      rows.push({ ...r, fingerprint, fp_seq: claimFpSeq(taken, fingerprint) });
+    }
+  }
+
+  const byKey = new Map(rows.map(r => [`${r.fingerprint}:${r.fp_seq}`, r]));
+  const matched = new Set();
+  const unmatched = [];
+  for (const m of messages) {
+    const existing = byKey.get(`${m.fingerprint}:${m.fpSeq}`);
+    if (!existing) {
+      unmatched.push(m);
+      continue;
+    }
+    matched.add(existing.id);
+    const reasons = [];
+    if (!existing.media_id && hasFile(m)) reasons.push('media');
+    if (m.edited && !existing.is_edited) reasons.push('edited');
+    if (reasons.length) result.conflicts.push({ message: m, existingId: existing.id, reasons });
+    else result.duplicates.push(m);
+  }
+
+  // stored messages this export has no copy of, by slot, for edits and deletions
+  const orphans = new Map();
+  for (const r of rows) {
+    if (matched.has(r.id) || r.is_deleted) continue;
+    const slot = slotOf(r.author, r.timestamp);
+    orphans.set(slot, [...(orphans.get(slot) || []), r]);
+  }
+  for (const m of unmatched) {
+    const candidates = (m.deleted || m.edited) && m.type !== 'system' ? orphans.get(slotOf(m.author, m.utc)) : null;
+    if (!candidates?.length) {
+      result.fresh.push(m);
+      continue;
+    }
+    const existing = candidates.shift();
+    result.conflicts.push({ message: m, existingId: existing.id, reasons: [m.deleted ? 'deleted' : 'edited'] });
+  }
+  return result;
+}
+
+/** Whether another message of the chat already has this fingerprint / fp_seq */
+export async function fingerprintTaken(conn, chatId, fingerprint, fpSeq, exceptId = 0) {
+  const [rows] = await conn.execute(
+    'SELECT id FROM messages WHERE chat_id = ? AND fingerprint = ? AND fp_seq = ? AND id <> ? LIMIT 1',
+    [chatId, fingerprint, fpSeq, exceptId]
+  );
+  return rows.length > 0;
+}
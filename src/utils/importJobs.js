@@ -0,0 +1,401 @@
+// Background import jobs. POST /api/upload/confirm queues one; a worker in each server instance
+// claims queued jobs in import_jobs and runs them one after the other. Work is committed every
+// IMPORT_BATCH messages together with a checkpoint (chat file, message index, chats opened so far),
+// so a retry, or another instance taking over, resumes from there.
+// The runner holds a lease on its job and renews it while running; a job whose lease ran out (its
+// instance stopped or crashed) is taken over by any instance. Cancel requests and progress are kept
+// in the row, so they work whichever instance a request reaches.
+// Fingerprints make a message imported twice a duplicate, never a second copy.
+import fs from 'fs/promises';
+import os from 'os';
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { openZip } from './zip.js';
+import { parseWhatsAppText } from './parseWhatsApp.js';
+import { linkAuthors } from './contacts.js';
+import { loadMe, applyMe } from './me.js';
+import { emptyImportStats, openImportTarget, importMessages } from './importer.js';
+import { signedJobEventsUrl } from './jobUrl.js';
+
+const FINISHED = new Set(['completed', 'failed', 'cancelled']);
+// ZIPs of failed / cancelled jobs are kept this long so the job can be retried
+const RETRY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// This process, as the owner of the jobs it runs
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+// A running job's lease, renewed every LEASE_RENEW_MS while its worker is alive
+const LEASE_SECONDS = 60;
+const LEASE_RENEW_MS = 15 * 1000;
+// How often an idle worker looks for jobs, and watchJob() for changes
+const POLL_MS = 5 * 1000;
+const WATCH_MS = 1000;
+
+let working = false;
+
+class JobCancelled extends Error { }
+// Another instance took the job over (this one missed renewing the lease): leave it to that one
+class LeaseLost extends Error { }
+
+/** Delete ZIPs of failed / cancelled jobs nobody retried; those jobs can no longer be retried */
+setInterval(async () => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT id, temp_path FROM import_jobs
+       WHERE status IN ('failed', 'cancelled') AND temp_path IS NOT NULL AND finished_at < ?`,
+      [new Date(Date.now() - RETRY_TTL_MS)]
+    );
+    for (const row of rows) {
+      await fs.unlink(row.temp_path).catch(() => { });
+      await pool.execute('UPDATE import_jobs SET temp_path = NULL WHERE id = ?', [row.id]);
+      console.log(`[Jobs] Removed upload of job ${row.id}`);
+    }
+  } catch (e) {
+    console.error('[Jobs] Cleanup failed:', e);
+  }
+}, 60 * 60 * 1000); // hourly
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value ?? null;
+}
+
+export function isFinished(status) {
+  return FINISHED.has(status);
+}
+
+function initialProgress() {
+  return {
+    fileIndex: 0, // chat file being imported, in ZIP order
+    processed: 0, // its messages handled so far
+    fileCount: 0,
+    currentFile: null,
+    opened: {}, // fileName -> { chatId, created } once its chat is opened (a new chat is reused when resuming)
+    files: [], // { fileName, chatId, action } per finished file
+    messages: { done: 0, total: 0 },
+    stats: { ...emptyImportStats(), skippedFiles: 0 }
+  };
+}
+
+/** What clients see of a job's progress */
+function progressView(progress) {
+  if (!progress) return null;
+  return {
+    files: { done: Math.min(progress.fileIndex, progress.fileCount), total: progress.fileCount },
+    messages: progress.messages,
+    currentFile: progress.currentFile,
+    stats: progress.stats
+  };
+}
+
+/** An import_jobs row as returned by the jobs API */
+export function serializeJob(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    fileName: row.original_name,
+    progress: progressView(parseJson(row.progress)),
+    result: parseJson(row.result),
+    error: row.error,
+    attempts: row.attempts,
+    cancelRequested: Boolean(row.cancel_requested),
+    retryable: (row.status === 'failed' || row.status === 'cancelled') && Boolean(row.temp_path),
+    eventsUrl: signedJobEventsUrl(row.id),
+    created_at: row.created_at,
+    started_at: row.started_at,
+    finished_at: row.finished_at
+  };
+}
+
+/** The user's job (any user's when userId is null, for signed URLs), or null */
+export async function loadJob(userId, jobId) {
+  const [rows] = userId === null
+    ? await pool.execute('SELECT * FROM import_jobs WHERE id = ?', [jobId])
+    : await pool.execute('SELECT * FROM import_jobs WHERE id = ? AND user_id = ?', [jobId, userId]);
+  return rows[0] || null;
+}
+
+/**
+ * Follow a job from `row` on (what the caller last saw of it): listener({ event, data }) gets
+ * 'status' (the serialized job) when its status changes or a cancel is requested, 'progress'
+ * (progress view) when a checkpoint was saved, and 'gone' if the job was deleted.
+ * The row is re-read every WATCH_MS, so it does not matter which instance runs the job.
+ * Stops by itself once the job has finished; returns a function that stops it earlier.
+ */
+export function watchJob(row, listener) {
+  let last = row;
+  let stopped = false;
+  let timer = null;
+
+  async function poll() {
+    try {
+      const [rows] = await pool.execute('SELECT * FROM import_jobs WHERE id = ?', [row.id]);
+      const current = rows[0];
+      if (stopped) return;
+      if (!current) {
+        stopped = true;
+        return listener({ event: 'gone', data: null });
+      }
+      if (current.status !== last.status || Boolean(current.cancel_requested) !== Boolean(last.cancel_requested)) {
+        listener({ event: 'status', data: serializeJob(current) });
+      } else if (JSON.stringify(parseJson(current.progress)) !== JSON.stringify(parseJson(last.progress))) {
+        listener({ event: 'progress', data: progressView(parseJson(current.progress)) });
+      }
+      last = current;
+      if (isFinished(current.status)) stopped = true;
+    } catch (e) {
+      console.error(`[Jobs] Could not read job ${row.id}:`, e);
+    }
+    if (!stopped) timer = setTimeout(poll, WATCH_MS);
+  }
+
+  timer = setTimeout(poll, WATCH_MS);
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
+
+/**
+ * Queue an import of the uploaded ZIP at tempPath, which the job owns once conn commits;
+ * call wakeImportWorker() then.
+ * options: { parseOptions, timezone, onConflict, targets: { fileName: chatId | 'new' | 'skip' } }
+ * Returns the job id.
+ */
+export async function createImportJob(conn, { userId, tempPath, originalName, options }) {
+  const id = crypto.randomUUID();
+  await conn.execute(
+    'INSERT INTO import_jobs (id, user_id, temp_path, original_name, options) VALUES (?, ?, ?, ?, ?)',
+    [id, userId, tempPath, originalName || null, JSON.stringify(options)]
+  );
+  return id;
+}
+
+/** Look for queued jobs now instead of at the next poll */
+export function wakeImportWorker() {
+  work();
+}
+
+/**
+ * Stop a job. A queued job is cancelled right away; a running one after its current batch
+ * (what it imported so far stays), by whichever instance runs it. Returns false when the job had
+ * already finished.
+ */
+export async function cancelImportJob(row) {
+  const [queued] = await pool.execute(
+    "UPDATE import_jobs SET status = 'cancelled', finished_at = NOW() WHERE id = ? AND status = 'queued'",
+    [row.id]
+  );
+  if (queued.affectedRows) return true;
+  const [running] = await pool.execute(
+    "UPDATE import_jobs SET cancel_requested = 1 WHERE id = ? AND status = 'running'",
+    [row.id]
+  );
+  return running.affectedRows > 0;
+}
+
+/** Queue a failed or cancelled job again; it resumes from its last checkpoint. Returns false if not retryable */
+export async function retryImportJob(row) {
+  if (!serializeJob(row).retryable) return false;
+  const [result] = await pool.execute(
+    `UPDATE import_jobs SET status = 'queued', error = NULL, finished_at = NULL, cancel_requested = 0,
+       owner = NULL, lease_expires_at = NULL
+     WHERE id = ? AND status IN ('failed', 'cancelled') AND temp_path IS NOT NULL`,
+    [row.id]
+  );
+  if (!result.affectedRows) return false;
+  work();
+  return true;
+}
+
+/**
+ * Start this instance's worker. It runs queued jobs, and takes over running ones whose lease ran
+ * out, e.g. those interrupted by a restart.
+ */
+export function startImportWorker() {
+  setInterval(work, POLL_MS);
+  work();
+}
+
+/**
+ * Claim the oldest queued job, or a running one whose instance stopped renewing its lease.
+ * Returns its row, or null when there is nothing to run.
+ */
+async function claimNextJob() {
+  const claimable = "(status = 'queued' OR (status = 'running' AND lease_expires_at <= CURRENT_TIMESTAMP))";
+  for (;;) {
+    const [rows] = await pool.execute(
+      `SELECT id FROM import_jobs WHERE ${claimable} ORDER BY created_at ASC LIMIT 1`
+    );
+    if (!rows.length) return null;
+    // the lease is a constant, safe to inline
+    const [claimed] = await pool.execute(
+      `UPDATE import_jobs
+       SET status = 'running', owner = ?, lease_expires_at = CURRENT_TIMESTAMP + INTERVAL ${LEASE_SECONDS} SECOND,
+           attempts = attempts + 1, started_at = COALESCE(started_at, NOW())
+       WHERE id = ? AND ${claimable}`,
+      [INSTANCE_ID, rows[0].id]
+    );
+    // (else another instance was quicker: look again)
+    if (claimed.affectedRows) {
+      const [jobs] = await pool.execute('SELECT * FROM import_jobs WHERE id = ?', [rows[0].id]);
+      return jobs[0];
+    }
+  }
+}
+
+/** Run claimable jobs one after the other until there are none (at most one worker per instance) */
+async function work() {
+  if (working) return;
+  working = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      try {
+        await runJob(job);
+      } catch (e) {
+        console.error(`[Jobs] Job ${job.id} could not be run:`, e);
+      }
+    }
+  } catch (e) {
+    console.error('[Jobs] Worker failed:', e);
+  } finally {
+    working = false;
+  }
+}
+
+/**
+ * Save the checkpoint with the work done since the last one (only while this instance holds the
+ * job), then stop here if a cancel was requested
+ */
+async function checkpoint(conn, jobId, progress) {
+  const [saved] = await conn.execute(
+    `UPDATE import_jobs SET progress = ?, lease_expires_at = CURRENT_TIMESTAMP + INTERVAL ${LEASE_SECONDS} SECOND
+     WHERE id = ? AND owner = ? AND status = 'running'`,
+    [JSON.stringify(progress), jobId, INSTANCE_ID]
+  );
+  if (!saved.affectedRows) throw new LeaseLost();
+  await conn.commit();
+  const [rows] = await conn.execute('SELECT cancel_requested FROM import_jobs WHERE id = ?', [jobId]);
+  if (rows[0]?.cancel_requested) throw new JobCancelled();
+  await conn.beginTransaction();
+}
+
+/** Mark a job this instance holds as failed or cancelled, releasing its lease */
+async function finishJob(jobId, status, error = null) {
+  await pool.execute(
+    `UPDATE import_jobs SET status = ?, error = ?, finished_at = NOW(), owner = NULL, lease_expires_at = NULL
+     WHERE id = ? AND owner = ?`,
+    [status, error, jobId, INSTANCE_ID]
+  );
+}
+
+/** Run a job claimed by claimNextJob() (fresh, retried or taken over) from its last checkpoint */
+async function runJob(job) {
+  const jobId = job.id;
+  const options = parseJson(job.options);
+  const progress = parseJson(job.progress) || initialProgress();
+  const { stats } = progress;
+  console.log(`[Jobs] Running import job ${jobId} for user ${job.user_id} (attempt ${job.attempts})`);
+
+  const conn = await pool.getConnection();
+  // keep the lease while batches run; a missed renewal lets another instance take the job
+  const renewal = setInterval(() => {
+    pool.execute(
+      `UPDATE import_jobs SET lease_expires_at = CURRENT_TIMESTAMP + INTERVAL ${LEASE_SECONDS} SECOND
+       WHERE id = ? AND owner = ? AND status = 'running'`,
+      [jobId, INSTANCE_ID]
+    ).catch(e => console.error(`[Jobs] Could not renew the lease of job ${jobId}:`, e));
+  }, LEASE_RENEW_MS);
+
+  let archive = null;
+  try {
+    // requested while the instance that ran it was going down
+    if (job.cancel_requested) throw new JobCancelled();
+    if (!job.temp_path) throw new Error('The uploaded file is no longer available. Please upload again.');
+    archive = await openZip(job.temp_path);
+    const { txtFiles, filesMap } = archive;
+    const parsedFiles = txtFiles.map(({ path: txtPath, text }) => parseWhatsAppText(text, txtPath, options.parseOptions));
+    const me = await loadMe(conn, job.user_id);
+
+    progress.fileCount = parsedFiles.length;
+    progress.messages.total = parsedFiles.reduce((sum, p) => sum + p.messages.length, 0);
+
+    await conn.beginTransaction();
+    for (let i = progress.fileIndex; i < parsedFiles.length; i++) {
+      const parsed = parsedFiles[i];
+      const fileName = txtFiles[i].path;
+      const target = options.targets[fileName] ?? 'skip';
+      const doneBefore = parsedFiles.slice(0, i).reduce((sum, p) => sum + p.messages.length, 0);
+      progress.fileIndex = i;
+      progress.currentFile = fileName;
+
+      if (target === 'skip') {
+        stats.skippedFiles++;
+        progress.files.push({ fileName, chatId: null, action: 'skipped' });
+      } else {
+        const earlier = progress.opened[fileName];
+        const existingChatId = earlier?.chatId || (target === 'new' ? null : target);
+        // "me" strings become the canonical author before anything is matched or de-duplicated
+        applyMe(parsed, me, existingChatId);
+        const opened = await openImportTarget(conn, job.user_id, existingChatId, parsed);
+        if (!opened) throw new Error(`Chat ${existingChatId} not found`);
+        const { chatId, created } = opened;
+        if (!earlier) {
+          if (created) stats.addedChats++; else stats.updatedChats++;
+          progress.opened[fileName] = { chatId, created };
+        }
+
+        stats.addedContacts += await linkAuthors(conn, job.user_id, parsed.participants);
+        await importMessages(conn, {
+          userId: job.user_id,
+          chatId,
+          created,
+          parsed,
+          filesMap,
+          timezone: options.timezone,
+          stats,
+          onConflict: options.onConflict,
+          from: progress.processed,
+          onProgress: async processed => {
+            progress.processed = processed;
+            progress.messages.done = doneBefore + processed;
+            await checkpoint(conn, jobId, progress);
+          }
+        });
+        progress.files.push({ fileName, chatId, action: progress.opened[fileName].created ? 'created' : 'merged' });
+      }
+
+      progress.fileIndex = i + 1;
+      progress.processed = 0;
+      progress.messages.done = doneBefore + parsed.messages.length;
+      if (i < parsedFiles.length - 1) await checkpoint(conn, jobId, progress);
+    }
+
+    progress.currentFile = null;
+    const [completed] = await conn.execute(
+      `UPDATE import_jobs SET status = 'completed', progress = ?, result = ?, temp_path = NULL, finished_at = NOW(),
+         owner = NULL, lease_expires_at = NULL
+       WHERE id = ? AND owner = ? AND status = 'running'`,
+      [JSON.stringify(progress), JSON.stringify({ ...stats, files: progress.files }), jobId, INSTANCE_ID]
+    );
+    if (!completed.affectedRows) throw new LeaseLost();
+    await conn.commit();
+    archive.close();
+    await fs.unlink(job.temp_path).catch(() => { });
+    console.log(`[Jobs] Import job ${jobId} completed:`, stats);
+  } catch (e) {
+    await conn.rollback().catch(() => { });
+    if (e instanceof LeaseLost) {
+      console.log(`[Jobs] Import job ${jobId} was taken over by another instance`);
+    } else if (e instanceof JobCancelled) {
+      await finishJob(jobId, 'cancelled');
+      console.log(`[Jobs] Import job ${jobId} cancelled`);
+    } else {
+      await finishJob(jobId, 'failed', e.message || 'Import failed');
+      console.error(`[Jobs] Import job ${jobId} failed:`, e);
+    }
+  } finally {
+    clearInterval(renewal);
+    conn.release();
+    archive?.close();
+  }
+}
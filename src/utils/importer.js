@@ -0,0 +1,266 @@
+// Importing a parsed export into a chat: shared by the import jobs (POST /api/upload/confirm)
+// and the legacy single-step POST /api/upload.
+import { bumpChatDataVersion } from '../db.js';
+import { storeMediaFile, acquireMedia, releaseMedia } from './mediaStore.js';
+import { wallTimeToUtc } from './time.js';
+import { parseVCards } from './vcard.js';
+import { matchMediaFile } from './mediaMatch.js';
+import { saveMessageLinks, saveLinksOfMessages } from './links.js';
+import { fingerprintMessages, reconcileMessages, fingerprintTaken } from './fingerprint.js';
+
+// Messages inserted per statement, and between two onProgress calls of importMessages
+export const IMPORT_BATCH = 250;
+
+const MESSAGE_COLUMNS = `(chat_id, author, content, timestamp, tz_offset, type, media_id, payload,
+  is_deleted, is_edited, media_omitted, media_kind, fingerprint, fp_seq)`;
+const MESSAGE_PLACEHOLDERS = '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)';
+
+// Generic/default chat names that indicate the name was not properly parsed
+const GENERIC_NAMES = new Set(['chat', 'whatsapp chat', 'group', '_chat']);
+
+export function isGenericName(name) {
+  if (!name) return true;
+  return GENERIC_NAMES.has(name.trim().toLowerCase());
+}
+
+/** Counters reported by an import (confirm job result, legacy upload response) */
+export function emptyImportStats() {
+  return { addedChats: 0, updatedChats: 0, addedMessages: 0, skippedMessages: 0, savedMedia: 0, addedEvents: 0, addedLinks: 0, addedContacts: 0, conflicts: 0, updatedMessages: 0 };
+}
+
+/**
+ * The chat a parsed export goes into: existingChatId (its name is improved and participants
+ * extended) or, without it, a new chat. Returns { chatId, created }, or null when existingChatId
+ * is not one of the user's chats.
+ */
+export async function openImportTarget(conn, userId, existingChatId, parsed) {
+  const { participants: participantsSet, nameGuess } = parsed;
+
+  if (!existingChatId) {
+    const [result] = await conn.execute('INSERT INTO chats (user_id, name) VALUES (?, ?)', [userId, nameGuess || 'Chat']);
+    const chatId = result.insertId;
+    for (const p of participantsSet) {
+      await conn.execute('INSERT INTO chat_participants (chat_id, name) VALUES (?, ?)', [chatId, p]);
+    }
+    return { chatId, created: true };
+  }
+
+  const [rows] = await conn.execute('SELECT id, name FROM chats WHERE id = ? AND user_id = ?', [existingChatId, userId]);
+  if (!rows.length) return null;
+  const chatId = rows[0].id;
+
+  // Update chat name if the new import has a better name
+  const existingName = rows[0].name;
+  if (nameGuess && !isGenericName(nameGuess) && (isGenericName(existingName) || existingName !== nameGuess)) {
+    await conn.execute('UPDATE chats SET name = ? WHERE id = ?', [nameGuess, chatId]);
+    console.log(`Updated chat ${chatId} name: "${existingName}" -> "${nameGuess}"`);
+  }
+
+  // Sync participants (union of old + new)
+  const [existingParts] = await conn.execute('SELECT name FROM chat_participants WHERE chat_id = ?', [chatId]);
+  const existingSet = new Set(existingParts.map(r => r.name));
+  for (const p of participantsSet) {
+    if (!existingSet.has(p)) {
+      await conn.execute('INSERT IGNORE INTO chat_participants (chat_id, name) VALUES (?, ?)', [chatId, p]);
+    }
+  }
+  return { chatId, created: false };
+}
+
+/** Parsed messages converted to UTC (utc, tzOffset from the export's wall times) and fingerprinted */
+export function prepareMessages(parsed, timezone) {
+  const messages = parsed.messages.map(m => {
+    const converted = m.timestamp ? wallTimeToUtc(m.timestamp, timezone) : null;
+    return { ...m, utc: converted?.utc ?? null, tzOffset: converted?.offset ?? null };
+  });
+  return fingerprintMessages(messages);
+}
+
+/** Whether the ZIP carries the file a message refers to */
+export function hasMediaFile(filesMap, m) {
+  return Boolean(m.filename && matchMediaFile(filesMap, m.filename).file);
+}
+
+/**
+ * Store the ZIP file a message refers to, inflating just that entry.
+ * Returns { media, payload } (media null when missing or unreadable)
+ */
+async function storeMessageMedia(m, filesMap) {
+  let payload = m.payload || null;
+  if (!m.filename) return { media: null, payload };
+  const { key: foundZipKey, file: hit } = matchMediaFile(filesMap, m.filename);
+  if (!hit) return { media: null, payload };
+  try {
+    const media = await storeMediaFile(await hit.stream(), foundZipKey);
+    if (m.type === 'contact') payload = { contacts: parseVCards((await hit.read()).toString('utf8')) };
+    return { media, payload };
+  } catch (mediaError) {
+    console.error(`Failed to save media file ${m.filename}:`, mediaError);
+    return { media: null, payload };
+  }
+}
+
+/**
+ * Insert new messages with multi-row statements, after storing their media (one file at a time),
+ * then their events and links.
+ */
+async function insertMessages(conn, userId, chatId, messages, filesMap, stats) {
+  if (!messages.length) return;
+  const rows = [];
+  for (const m of messages) {
+    const { media, payload } = await storeMessageMedia(m, filesMap);
+    const mediaId = media ? await acquireMedia(conn, userId, media) : null;
+    rows.push({
+      m,
+      mediaId,
+      values: [chatId, m.author || null, m.deleted ? null : m.content || '', m.utc, m.tzOffset, m.type, mediaId,
+        payload ? JSON.stringify(payload) : null,
+        m.deleted ? 1 : 0, m.edited ? 1 : 0, m.mediaOmitted ? 1 : 0, m.mediaKind, m.fingerprint, m.fpSeq]
+    });
+  }
+
+  let inserted = rows;
+  try {
+    await conn.execute(
+      `INSERT INTO messages ${MESSAGE_COLUMNS} VALUES ${rows.map(() => MESSAGE_PLACEHOLDERS).join(', ')}`,
+      rows.flatMap(r => r.values)
+    );
+  } catch (e) {
+    if (e.code !== 'ER_DUP_ENTRY') throw e;
+    // some were stored meanwhile by a concurrent import of the same chat: go one by one
+    inserted = [];
+    for (const r of rows) {
+      try {
+        await conn.execute(`INSERT INTO messages ${MESSAGE_COLUMNS} VALUES ${MESSAGE_PLACEHOLDERS}`, r.values);
+        inserted.push(r);
+      } catch (rowError) {
+        if (rowError.code !== 'ER_DUP_ENTRY') throw rowError;
+        if (r.mediaId) await releaseMedia(conn, r.mediaId);
+        stats.skippedMessages++;
+      }
+    }
+  }
+  if (!inserted.length) return;
+  stats.addedMessages += inserted.length;
+  stats.savedMedia += inserted.filter(r => r.mediaId).length;
+
+  // ids of the new rows, by their (chat_id, fingerprint, fp_seq) key
+  const fingerprints = [...new Set(inserted.map(r => r.m.fingerprint))];
+  const [ids] = await conn.execute(
+    `SELECT id, fingerprint, fp_seq FROM messages WHERE chat_id = ? AND fingerprint IN (${fingerprints.map(() => '?').join(',')})`,
+    [chatId, ...fingerprints]
+  );
+  const idOf = new Map(ids.map(r => [`${r.fingerprint}:${r.fp_seq}`, r.id]));
+  const stored = inserted.map(r => ({ m: r.m, id: idOf.get(`${r.m.fingerprint}:${r.m.fpSeq}`) }));
+
+  // System lines also feed the chat's event timeline
+  const events = stored.filter(r => r.m.event);
+  if (events.length) {
+    await conn.execute(
+      `INSERT INTO chat_events (chat_id, message_id, kind, actor, targets, value, previous_value, timestamp)
+       VALUES ${events.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+      events.flatMap(({ m, id }) => [chatId, id, m.event.kind, m.event.actor, JSON.stringify(m.event.targets),
+        m.event.value, m.event.previous, m.utc])
+    );
+    stats.addedEvents += events.length;
+  }
+
+  stats.addedLinks += await saveLinksOfMessages(conn, stored.map(({ m, id }) => ({
+    chatId, messageId: id, author: m.author, type: m.type, content: m.content, timestamp: m.utc
+  })));
+}
+
+/**
+ * Bring a stored message up to date with this export's copy (onConflict = 'update'):
+ * attach the media file, take the edited text, or mark it deleted (its text and links are dropped).
+ * Returns whether the row changed.
+ */
+async function applyConflict(conn, userId, chatId, { message: m, existingId, reasons }, filesMap) {
+  let changed = false;
+  if (reasons.includes('media')) {
+    const { media, payload } = await storeMessageMedia(m, filesMap);
+    if (media) {
+      const mediaId = await acquireMedia(conn, userId, media);
+      const [result] = await conn.execute(
+        `UPDATE messages SET media_id = ?, media_omitted = 0, type = ?, payload = COALESCE(?, payload)
+         WHERE id = ? AND media_id IS NULL`,
+        [mediaId, m.type, payload ? JSON.stringify(payload) : null, existingId]
+      );
+      if (result.affectedRows) changed = true;
+      else await releaseMedia(conn, mediaId);
+    }
+  }
+  if (reasons.includes('edited') || reasons.includes('deleted')) {
+    // the new fingerprint may already be taken by another copy: then leave this one alone
+    if (!(await fingerprintTaken(conn, chatId, m.fingerprint, m.fpSeq, existingId))) {
+      if (m.deleted) {
+        await conn.execute(
+          'UPDATE messages SET content = NULL, is_deleted = 1, fingerprint = ?, fp_seq = ? WHERE id = ?',
+          [m.fingerprint, m.fpSeq, existingId]
+        );
+        await conn.execute('DELETE FROM message_links WHERE message_id = ?', [existingId]);
+      } else {
+        await conn.execute(
+          'UPDATE messages SET content = ?, is_edited = 1, fingerprint = ?, fp_seq = ? WHERE id = ?',
+          [m.content || '', m.fingerprint, m.fpSeq, existingId]
+        );
+        await conn.execute('DELETE FROM message_links WHERE message_id = ?', [existingId]);
+        await saveMessageLinks(conn, {
+          chatId, messageId: existingId, author: m.author, type: m.type, content: m.content, timestamp: m.utc
+        });
+      }
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Insert a parsed chat's messages into chatId (owned by userId) and store the media they reference from the ZIP.
+ * Export times are wall-clock in `timezone`; they are stored as UTC plus the original offset.
+ * Media goes to the content-addressed store, so a file already known (any chat) is not written again;
+ * the user's media rows are shared across their chats only.
+ * Messages are matched against the chat by fingerprint (utils/fingerprint.js), so older, partial or
+ * overlapping exports only add what is missing. Conflicts (a stored message this export has with its
+ * media, edited or deleted) keep the stored copy unless onConflict is 'update'.
+ *
+ * `from` skips the export's first messages (already handled by an interrupted run).
+ * onProgress(processed), when given, is awaited every IMPORT_BATCH messages and at the end with the
+ * number of the export's messages handled so far; it may commit conn's transaction and open the next.
+ */
+export async function importMessages(conn, { userId, chatId, created, parsed, filesMap, timezone, stats, onConflict = 'skip', from = 0, onProgress = null }) {
+  // fp_seq numbers identical messages across the whole export, so fingerprint all of them
+  const messages = prepareMessages(parsed, timezone);
+  const pending = messages.slice(from);
+  const { duplicates, conflicts } = created && !from
+    ? { duplicates: [], conflicts: [] }
+    : await reconcileMessages(conn, chatId, pending, { hasFile: m => hasMediaFile(filesMap, m) });
+  const duplicate = new Set(duplicates);
+  const conflictOf = new Map(conflicts.map(c => [c.message, c]));
+
+  for (let start = 0; start < pending.length; start += IMPORT_BATCH) {
+    const batch = pending.slice(start, start + IMPORT_BATCH);
+    const fresh = [];
+    let changed = false;
+    for (const m of batch) {
+      const conflict = conflictOf.get(m);
+      if (duplicate.has(m)) {
+        stats.skippedMessages++;
+      } else if (conflict) {
+        stats.conflicts++;
+        if (onConflict === 'update' && await applyConflict(conn, userId, chatId, conflict, filesMap)) {
+          stats.updatedMessages++;
+          changed = true;
+        }
+      } else {
+        fresh.push(m);
+      }
+    }
+
+    const addedBefore = stats.addedMessages;
+    await insertMessages(conn, userId, chatId, fresh, filesMap, stats);
+    if (changed || stats.addedMessages > addedBefore) await bumpChatDataVersion(conn, [chatId]);
+    if (onProgress) await onProgress(from + start + batch.length);
+  }
+  if (!pending.length && onProgress) await onProgress(messages.length);
+}
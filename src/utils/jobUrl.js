@@ -0,0 +1,25 @@
+// Signed, short-lived URLs for a job's event stream: /api/jobs/<id>/events?exp=<unix seconds>&sig=<hmac>.
+// EventSource cannot send an Authorization header; unlike a bearer token in the query string (and so
+// in access logs), such a URL only opens this one job's stream, and only for a few minutes.
+import crypto from 'crypto';
+
+const TTL = 5 * 60; // seconds
+
+function signature(jobId, exp) {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`job-events:${jobId}.${exp}`).digest('base64url');
+}
+
+/** Signed URL of a job's event stream, valid for TTL seconds */
+export function signedJobEventsUrl(jobId) {
+  const exp = Math.floor(Date.now() / 1000) + TTL;
+  return `/api/jobs/${jobId}/events?exp=${exp}&sig=${signature(jobId, exp)}`;
+}
+
+/** Check ?exp&sig for `jobId`. Returns 'valid', 'expired' or 'invalid' */
+export function verifyJobEventsSignature(jobId, exp, sig) {
+  if (!exp || !sig || !/^\d+$/.test(String(exp))) return 'invalid';
+  const expected = Buffer.from(signature(jobId, exp));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'invalid';
+  return Number(exp) < Date.now() / 1000 ? 'expired' : 'valid';
+}
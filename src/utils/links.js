@@ -0,0 +1,78 @@
+// URLs shared in messages: extraction, normalization and the message_links index.
+
+// http(s) URLs and bare "www." hosts; trailing punctuation is trimmed afterwards
+const URL_RE = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi;
+const TRAILING_PUNCT_RE = /[.,;:!?*_~]+$/;
+// Query parameters that only track where a link was shared from
+const TRACKING_PARAMS = [/^utm_/i, /^fbclid$/i, /^gclid$/i, /^igshid$/i, /^mc_(cid|eid)$/i, /^si$/i];
+
+// Message types whose content is not something a person typed
+const SKIPPED_TYPES = ['system', 'location'];
+
+/** Drop trailing punctuation and unbalanced closing brackets ("(see https://x.com/a)." -> "https://x.com/a") */
+function trimUrl(raw) {
+  let url = raw.replace(TRAILING_PUNCT_RE, '');
+  for (const [open, close] of [['(', ')'], ['[', ']'], ['{', '}']]) {
+    while (url.endsWith(close) && url.split(open).length < url.split(close).length) {
+      url = url.slice(0, -1).replace(TRAILING_PUNCT_RE, '');
+    }
+  }
+  return url;
+}
+
+/**
+ * Normalize a URL for grouping and de-duplication: lowercase scheme/host, no default port,
+ * no fragment, no tracking parameters. Returns { url, domain } or null if it isn't a usable URL.
+ * `domain` is the host without a leading "www.".
+ */
+export function normalizeUrl(raw) {
+  let parsed;
+  try {
+    parsed = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname.includes('.')) return null;
+
+  parsed.hash = '';
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (TRACKING_PARAMS.some(re => re.test(key))) parsed.searchParams.delete(key);
+  }
+  return { url: parsed.toString(), domain: parsed.hostname.replace(/^www\./, '') };
+}
+
+/** Distinct normalized links in a message text: [{ url, domain }] */
+export function extractLinks(text) {
+  const seen = new Map();
+  for (const match of String(text || '').matchAll(URL_RE)) {
+    const link = normalizeUrl(trimUrl(match[0]));
+    if (link && !seen.has(link.url)) seen.set(link.url, link);
+  }
+  return [...seen.values()];
+}
+
+/** Index the links of one stored message. Returns the number of links inserted */
+export async function saveMessageLinks(conn, message) {
+  return saveLinksOfMessages(conn, [message]);
+}
+
+/**
+ * Index the links of several stored messages ({ chatId, messageId, author, type, content, timestamp })
+ * with one insert. Returns the number of links inserted.
+ */
+export async function saveLinksOfMessages(conn, messages) {
+  const rows = [];
+  for (const { chatId, messageId, author, type, content, timestamp } of messages) {
+    if (SKIPPED_TYPES.includes(type)) continue;
+    for (const link of extractLinks(content)) {
+      rows.push([chatId, messageId, author || null, link.url.slice(0, 2048), link.domain.slice(0, 255), timestamp ?? null]);
+    }
+  }
+  if (!rows.length) return 0;
+  const [result] = await conn.execute(
+    `INSERT IGNORE INTO message_links (chat_id, message_id, author, url, domain, timestamp)
+     VALUES ${rows.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+    rows.flat()
+  );
+  return result.affectedRows;
+}
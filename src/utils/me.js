@@ -0,0 +1,115 @@
+// "Me": the author strings that are the app user themselves ("You", their own name, per device / language).
+// They are stored under one canonical author (users.me_author, default "You"), so the same message
+// exported from two phones gets the same fingerprint instead of showing up twice.
+import { bumpChatDataVersion } from '../db.js';
+import { releaseMedia } from './mediaStore.js';
+import { authorKey } from './contacts.js';
+import { rowFingerprint, fingerprintTaken } from './fingerprint.js';
+
+export const DEFAULT_ME_AUTHOR = 'You';
+
+/**
+ * The user's "me" declarations: { canonical, isMine(author, chatId) }.
+ * Global strings apply to every chat, per-chat ones only there; the canonical author is always mine.
+ */
+export async function loadMe(conn, userId) {
+  const [users] = await conn.execute('SELECT me_author FROM users WHERE id = ?', [userId]);
+  const canonical = users[0]?.me_author || DEFAULT_ME_AUTHOR;
+  const [rows] = await conn.execute('SELECT chat_id, value FROM me_authors WHERE user_id = ?', [userId]);
+
+  const global = new Set([authorKey(canonical)]);
+  const perChat = new Map();
+  for (const r of rows) {
+    if (r.chat_id === null) global.add(r.value);
+    else perChat.set(r.chat_id, (perChat.get(r.chat_id) || new Set()).add(r.value));
+  }
+
+  function isMine(author, chatId = null) {
+    const key = authorKey(author);
+    if (!key) return false;
+    return global.has(key) || Boolean(perChat.get(chatId)?.has(key));
+  }
+  return { canonical, isMine };
+}
+
+/** Rewrite a parsed export's "me" strings to the canonical author, before its messages are deduplicated */
+export function applyMe(parsed, me, chatId = null) {
+  const mine = author => author && author !== me.canonical && me.isMine(author, chatId);
+  for (const m of parsed.messages) {
+    if (mine(m.author)) m.author = me.canonical;
+    if (m.event && mine(m.event.actor)) m.event.actor = me.canonical;
+  }
+  const participants = [...parsed.participants].map(p => (mine(p) ? me.canonical : p));
+  parsed.participants = new Set(participants);
+}
+
+/**
+ * Rewrite stored "me" strings in these chats (default: all of the user's) to the canonical author.
+ * Messages that turn out to be duplicates (the same message from another device) are deleted.
+ * Returns { renamedMessages, removedDuplicates }.
+ */
+export async function normalizeMyAuthors(conn, userId, chatIds = null) {
+  const me = await loadMe(conn, userId);
+  if (!chatIds) {
+    const [chats] = await conn.execute('SELECT id FROM chats WHERE user_id = ?', [userId]);
+    chatIds = chats.map(c => c.id);
+  }
+  const result = { renamedMessages: 0, removedDuplicates: 0 };
+  // author columns compare case-insensitively (utf8mb4_unicode_ci): "you" already is "You"
+  const toRewrite = (value, chatId) => value.toLowerCase() !== me.canonical.toLowerCase() && me.isMine(value, chatId);
+
+  for (const chatId of chatIds) {
+    let changed = false;
+    const [authors] = await conn.execute(
+      'SELECT DISTINCT author FROM messages WHERE chat_id = ? AND author IS NOT NULL',
+      [chatId]
+    );
+    for (const { author } of authors) {
+      if (!toRewrite(author, chatId)) continue;
+      changed = true;
+
+      // The fingerprint covers the author: recompute it. A row whose new fingerprint is already
+      // taken is the same message stored from another device, and goes.
+      // (never the canonical author's own rows, should the collation also equate the two)
+      const [rows] = await conn.execute(
+        `SELECT id, timestamp, content, is_deleted, media_id, media_omitted, media_kind, fp_seq FROM messages
+         WHERE chat_id = ? AND author = ? AND author COLLATE utf8mb4_bin <> ?`,
+        [chatId, author, me.canonical]
+      );
+      for (const row of rows) {
+        const fingerprint = rowFingerprint({ ...row, author: me.canonical });
+        if (!(await fingerprintTaken(conn, chatId, fingerprint, row.fp_seq, row.id))) {
+          await conn.execute('UPDATE messages SET author = ?, fingerprint = ? WHERE id = ?', [me.canonical, fingerprint, row.id]);
+          result.renamedMessages++;
+          continue;
+        }
+        if (row.media_id) await releaseMedia(conn, row.media_id);
+        // chat_events / message_links rows go with it (FK cascade)
+        await conn.execute('DELETE FROM messages WHERE id = ?', [row.id]);
+        result.removedDuplicates++;
+      }
+
+      await conn.execute('UPDATE message_links SET author = ? WHERE chat_id = ? AND author = ?', [me.canonical, chatId, author]);
+    }
+
+    const [actors] = await conn.execute(
+      'SELECT DISTINCT actor FROM chat_events WHERE chat_id = ? AND actor IS NOT NULL',
+      [chatId]
+    );
+    for (const { actor } of actors) {
+      if (!toRewrite(actor, chatId)) continue;
+      await conn.execute('UPDATE chat_events SET actor = ? WHERE chat_id = ? AND actor = ?', [me.canonical, chatId, actor]);
+    }
+
+    const [parts] = await conn.execute('SELECT name FROM chat_participants WHERE chat_id = ?', [chatId]);
+    for (const { name } of parts) {
+      if (!toRewrite(name, chatId)) continue;
+      changed = true;
+      await conn.execute('DELETE FROM chat_participants WHERE chat_id = ? AND name = ?', [chatId, name]);
+      await conn.execute('INSERT IGNORE INTO chat_participants (chat_id, name) VALUES (?, ?)', [chatId, me.canonical]);
+    }
+
+    if (changed) await bumpChatDataVersion(conn, [chatId]);
+  }
+  return result;
+}
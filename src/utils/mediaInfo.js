@@ -0,0 +1,352 @@
+// Read media metadata straight from file headers (no decoding): image dimensions, EXIF capture
+// time and orientation, and audio/video durations from MP4/QuickTime, Ogg, WAV and MP3 containers.
+import fs from 'fs/promises';
+
+const MP4_TYPES = ['video/mp4', 'video/quicktime', 'audio/mp4'];
+// Files up to this size are probed whole; of larger ones only the parts their headers live in are read
+export const PROBE_WHOLE_MAX = 32 * 1024 * 1024;
+const PROBE_EDGE = 256 * 1024;
+
+/** { width, height } of a PNG / GIF / JPEG / WebP / BMP / TIFF buffer, or null */
+export function imageSize(buf) {
+  if (!buf || buf.length < 24) return null;
+  const ascii = (start, end) => buf.toString('latin1', start, end);
+
+  // PNG: IHDR is always the first chunk
+  if (ascii(1, 4) === 'PNG') {
+    return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size
+  if (ascii(0, 3) === 'GIF') {
+    return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+
+  // BMP: BITMAPINFOHEADER (a negative height means top-down rows)
+  if (ascii(0, 2) === 'BM' && buf.length >= 26) {
+    return { width: Math.abs(buf.readInt32LE(18)), height: Math.abs(buf.readInt32LE(22)) };
+  }
+
+  // TIFF: ImageWidth / ImageLength of the first IFD
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') {
+    const le = ascii(0, 2) === 'II';
+    const ifd = readIfd(buf, 0, le ? buf.readUInt32LE(4) : buf.readUInt32BE(4), le);
+    const value = tag => {
+      const e = ifd.get(tag);
+      if (!e) return null;
+      if (e.type === 3) return le ? buf.readUInt16LE(e.valueOffset) : buf.readUInt16BE(e.valueOffset);
+      return le ? buf.readUInt32LE(e.valueOffset) : buf.readUInt32BE(e.valueOffset);
+    };
+    const width = value(256);
+    const height = value(257);
+    return width && height ? { width, height } : null;
+  }
+
+  // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+    const chunk = ascii(12, 16);
+    if (chunk === 'VP8 ' && buf.length >= 30) {
+      return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && buf.length >= 25) {
+      const bits = buf.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X' && buf.length >= 30) {
+      return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: walk the segments up to the first start-of-frame marker
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buf.length) {
+      if (buf[offset] !== 0xff) return null;
+      const marker = buf[offset + 1];
+      if (marker === 0xff) { offset++; continue; }
+      const length = buf.readUInt16BE(offset + 2);
+      // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+  }
+  return null;
+}
+
+// ─── EXIF ───
+
+const EXIF_TAGS = { orientation: 0x0112, exifIfd: 0x8769, dateTimeOriginal: 0x9003, dateTimeDigitized: 0x9004, offsetTimeOriginal: 0x9011 };
+
+/** Locate the TIFF header inside a JPEG's APP1 "Exif" segment. Returns its offset or -1 */
+function findExifTiff(buf) {
+  if (buf[0] !== 0xff || buf[1] !== 0xd8) return -1;
+  let offset = 2;
+  while (offset + 4 < buf.length && buf[offset] === 0xff) {
+    const marker = buf[offset + 1];
+    if (marker === 0xda || marker === 0xd9) break; // image data starts: no more metadata
+    const length = buf.readUInt16BE(offset + 2);
+    if (marker === 0xe1 && buf.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') return offset + 10;
+    offset += 2 + length;
+  }
+  return -1;
+}
+
+/** Read the entries of one IFD as Map<tag, { type, count, valueOffset }> */
+function readIfd(buf, tiff, ifdOffset, le) {
+  const u16 = o => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = o => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const entries = new Map();
+  const start = tiff + ifdOffset;
+  if (start + 2 > buf.length) return entries;
+  const count = u16(start);
+  for (let i = 0; i < count; i++) {
+    const e = start + 2 + i * 12;
+    if (e + 12 > buf.length) break;
+    entries.set(u16(e), { type: u16(e + 2), count: u32(e + 4), valueOffset: e + 8 });
+  }
+  return entries;
+}
+
+/**
+ * { orientation, capturedAt: 'YYYY-MM-DD HH:mm:ss' | null, offset: minutes | null } from a JPEG's EXIF, or null.
+ * capturedAt is the camera's wall-clock time; offset comes from OffsetTimeOriginal when present.
+ */
+export function readExif(buf) {
+  if (!buf || buf.length < 16) return null;
+  const tiff = findExifTiff(buf);
+  if (tiff < 0 || tiff + 8 > buf.length) return null;
+  const le = buf.toString('latin1', tiff, tiff + 2) === 'II';
+  const u16 = o => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = o => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const ascii = entry => {
+    if (!entry || entry.type !== 2) return null;
+    const at = entry.count > 4 ? tiff + u32(entry.valueOffset) : entry.valueOffset;
+    if (at + entry.count > buf.length) return null;
+    return buf.toString('latin1', at, at + entry.count).replace(/\0+$/, '').trim();
+  };
+
+  try {
+    const ifd0 = readIfd(buf, tiff, u32(tiff + 4), le);
+    const orientation = ifd0.has(EXIF_TAGS.orientation) ? u16(ifd0.get(EXIF_TAGS.orientation).valueOffset) : 1;
+    const exifPtr = ifd0.get(EXIF_TAGS.exifIfd);
+    const exif = exifPtr ? readIfd(buf, tiff, u32(exifPtr.valueOffset), le) : new Map();
+
+    // "2025:07:24 18:30:12" (all-zero / blank dates mean "unknown")
+    const raw = ascii(exif.get(EXIF_TAGS.dateTimeOriginal)) || ascii(exif.get(EXIF_TAGS.dateTimeDigitized));
+    const m = raw?.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})$/);
+    const capturedAt = m && m[1] !== '0000' ? `${m[1]}-${m[2]}-${m[3]} ${m[4]}:${m[5]}:${m[6]}` : null;
+
+    const off = ascii(exif.get(EXIF_TAGS.offsetTimeOriginal))?.match(/^([+-])(\d{2}):(\d{2})$/);
+    const offset = off ? (off[1] === '-' ? -1 : 1) * (Number(off[2]) * 60 + Number(off[3])) : null;
+
+    return { orientation: orientation >= 1 && orientation <= 8 ? orientation : 1, capturedAt, offset };
+  } catch {
+    // truncated / malformed EXIF
+    return null;
+  }
+}
+
+// ─── Durations ───
+
+/** Iterate ISO-BMFF boxes in [start, end): yields { type, start, end } (payload bounds) */
+function* mp4Boxes(buf, start, end) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buf.readUInt32BE(offset);
+    const type = buf.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1) {
+      if (offset + 16 > end) return;
+      size = Number(buf.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) return;
+    yield { type, start: offset + header, end: offset + size };
+    offset += size;
+  }
+}
+
+/** { durationMs, width, height } from an MP4 / MOV / M4A moov box */
+function mp4Info(buf) {
+  const moov = [...mp4Boxes(buf, 0, buf.length)].find(b => b.type === 'moov');
+  if (!moov) return null;
+  const info = { durationMs: null, width: null, height: null };
+
+  for (const box of mp4Boxes(buf, moov.start, moov.end)) {
+    if (box.type === 'mvhd') {
+      const v1 = buf[box.start] === 1;
+      const timescale = buf.readUInt32BE(box.start + (v1 ? 20 : 12));
+      const duration = v1 ? Number(buf.readBigUInt64BE(box.start + 24)) : buf.readUInt32BE(box.start + 16);
+      if (timescale) info.durationMs = Math.round((duration / timescale) * 1000);
+    }
+    if (box.type === 'trak' && info.width === null) {
+      const tkhd = [...mp4Boxes(buf, box.start, box.end)].find(b => b.type === 'tkhd');
+      if (!tkhd) continue;
+      const base = tkhd.start + (buf[tkhd.start] === 1 ? 12 : 0);
+      if (base + 84 > tkhd.end) continue;
+      const width = buf.readUInt32BE(base + 76) / 65536;
+      const height = buf.readUInt32BE(base + 80) / 65536;
+      if (!width || !height) continue; // audio track
+      // phones record portrait video as landscape plus a 90° rotation matrix (a = 0)
+      const rotated = buf.readInt32BE(base + 40) === 0;
+      info.width = Math.round(rotated ? height : width);
+      info.height = Math.round(rotated ? width : height);
+    }
+  }
+  return info;
+}
+
+/** Duration of an Ogg Opus / Vorbis stream from the last page's granule position */
+function oggDurationMs(buf) {
+  let rate = null;
+  let preSkip = 0;
+  const opus = buf.indexOf('OpusHead', 0, 'latin1');
+  if (opus >= 0 && opus + 12 <= buf.length) {
+    rate = 48000; // Opus granules always count 48 kHz samples
+    preSkip = buf.readUInt16LE(opus + 10);
+  } else {
+    const vorbis = buf.indexOf('\x01vorbis', 0, 'latin1');
+    if (vorbis >= 0 && vorbis + 16 <= buf.length) rate = buf.readUInt32LE(vorbis + 12);
+  }
+  const last = buf.lastIndexOf('OggS', buf.length - 14, 'latin1');
+  if (!rate || last < 0) return null;
+  const granule = Number(buf.readBigInt64LE(last + 6));
+  return granule > 0 ? Math.round(((granule - preSkip) / rate) * 1000) : null;
+}
+
+/** Duration of a PCM WAV file (fileSize bytes, buf its start) from its fmt byte rate and data chunk size */
+function wavDurationMs(buf, fileSize) {
+  let byteRate = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('latin1', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= buf.length) byteRate = buf.readUInt32LE(offset + 16);
+    if (id === 'data') {
+      const dataSize = Math.min(size, fileSize - offset - 8);
+      return byteRate ? Math.round((dataSize / byteRate) * 1000) : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+const MP3_BITRATES = {
+  v1l3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2l3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/** Duration of an MP3 (fileSize bytes, buf its start): Xing/Info frame count when present, otherwise a CBR estimate */
+function mp3DurationMs(buf, fileSize) {
+  let offset = 0;
+  if (buf.toString('latin1', 0, 3) === 'ID3' && buf.length >= 10) {
+    // ID3v2 size is a 28-bit "syncsafe" integer
+    offset = 10 + ((buf[6] & 0x7f) << 21 | (buf[7] & 0x7f) << 14 | (buf[8] & 0x7f) << 7 | (buf[9] & 0x7f));
+  }
+  while (offset + 4 < buf.length && !(buf[offset] === 0xff && (buf[offset + 1] & 0xe0) === 0xe0)) offset++;
+  if (offset + 4 >= buf.length) return null;
+
+  const version = (buf[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layer = (buf[offset + 1] >> 1) & 0x03; // 1 = Layer III
+  const bitrateIndex = buf[offset + 2] >> 4;
+  const sampleRate = MP3_RATES[version]?.[(buf[offset + 2] >> 2) & 0x03];
+  if (layer !== 1 || !sampleRate || bitrateIndex === 0 || bitrateIndex === 15) return null;
+
+  const mono = (buf[offset + 3] >> 6) === 3;
+  const samplesPerFrame = version === 3 ? 1152 : 576;
+  const sideInfo = version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const tag = buf.toString('latin1', xing, xing + 4);
+  if ((tag === 'Xing' || tag === 'Info') && xing + 12 <= buf.length && buf.readUInt32BE(xing + 4) & 0x1) {
+    return Math.round((buf.readUInt32BE(xing + 8) * samplesPerFrame / sampleRate) * 1000);
+  }
+  const kbps = (version === 3 ? MP3_BITRATES.v1l3 : MP3_BITRATES.v2l3)[bitrateIndex];
+  return Math.round(((fileSize - offset) * 8) / kbps);
+}
+
+/**
+ * Everything readable from the headers of a stored file of fileSize bytes, given whole or as
+ * readProbeBuffer() returns it:
+ * { width, height, durationMs, capturedAt, capturedOffset, orientation }. Unknown values are null.
+ */
+export function probeMedia(buf, mimeType, fileSize = buf.length) {
+  const info = { width: null, height: null, durationMs: null, capturedAt: null, capturedOffset: null, orientation: 1 };
+  try {
+    if (mimeType.startsWith('image/')) {
+      const dims = imageSize(buf);
+      const exif = mimeType === 'image/jpeg' ? readExif(buf) : null;
+      if (exif) {
+        info.orientation = exif.orientation;
+        info.capturedAt = exif.capturedAt;
+        info.capturedOffset = exif.capturedAt ? exif.offset : null;
+      }
+      if (dims) {
+        // orientations 5-8 are rotated by 90°: report the size as displayed
+        const swap = info.orientation >= 5;
+        info.width = swap ? dims.height : dims.width;
+        info.height = swap ? dims.width : dims.height;
+      }
+    } else if (MP4_TYPES.includes(mimeType)) {
+      Object.assign(info, mp4Info(buf) || {});
+    } else if (mimeType === 'audio/ogg') {
+      info.durationMs = oggDurationMs(buf);
+    } else if (mimeType === 'audio/wav') {
+      info.durationMs = wavDurationMs(buf, fileSize);
+    } else if (mimeType === 'audio/mpeg') {
+      info.durationMs = mp3DurationMs(buf, fileSize);
+    }
+  } catch {
+    // truncated or unusual container: keep whatever was read
+  }
+  return info;
+}
+
+/** `length` bytes of an open file from `position` (fewer at its end) */
+async function readAt(handle, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+/** The top-level moov box of an MP4 / MOV file (where its headers are, at either end), or null */
+async function readMp4Moov(handle, fileSize) {
+  let offset = 0;
+  while (offset + 8 <= fileSize) {
+    const header = await readAt(handle, offset, 16);
+    let size = header.readUInt32BE(0);
+    if (size === 1) {
+      if (header.length < 16) return null;
+      size = Number(header.readBigUInt64BE(8));
+    } else if (size === 0) {
+      size = fileSize - offset;
+    }
+    if (size < 8 || offset + size > fileSize) return null;
+    if (header.toString('latin1', 4, 8) === 'moov') return size <= PROBE_WHOLE_MAX ? readAt(handle, offset, size) : null;
+    offset += size;
+  }
+  return null;
+}
+
+/**
+ * Read what probeMedia() needs of a file without loading a large one: the whole file up to
+ * PROBE_WHOLE_MAX, otherwise the moov box of an MP4 or the first and last PROBE_EDGE bytes
+ * (image headers, Ogg's last page). Returns { buf, size, whole }.
+ */
+export async function readProbeBuffer(filePath, mimeType) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (size <= PROBE_WHOLE_MAX) return { buf: await handle.readFile(), size, whole: true };
+    const moov = MP4_TYPES.includes(mimeType) ? await readMp4Moov(handle, size) : null;
+    const buf = moov || Buffer.concat([await readAt(handle, 0, PROBE_EDGE), await readAt(handle, size - PROBE_EDGE, PROBE_EDGE)]);
+    return { buf, size, whole: false };
+  } finally {
+    await handle.close();
+  }
+}
@@ -0,0 +1,68 @@
+// Match filenames referenced by messages to files from a ZIP / upload (filesMap: lowerBasename -> { path, stream(), read() }).
+
+// Normalize filenames for robust matching
+export function normalizeName(s) {
+  if (!s) return '';
+  return s.toString().toLowerCase().replace(/[^a-z0-9.\-\.]+/g, '');
+}
+
+/**
+ * Find the file for `filename`: exact basename first, then endsWith / normalized equal / contains.
+ * Returns { status: 'matched' | 'ambiguous' | 'unmatched', key, file, candidates }.
+ * For 'ambiguous', key/file are the first candidate (what the importer has always used).
+ */
+export function matchMediaFile(filesMap, filename) {
+  if (!filename) return { status: 'unmatched', key: null, file: null, candidates: [] };
+
+  // Try exact basename match
+  const exactKey = filename.toLowerCase();
+  if (filesMap.has(exactKey)) {
+    return { status: 'matched', key: exactKey, file: filesMap.get(exactKey), candidates: [exactKey] };
+  }
+
+  // Scan and match using normalized forms
+  const targetNorm = normalizeName(filename);
+  const candidates = [];
+  for (const zipFilename of filesMap.keys()) {
+    const zipNorm = normalizeName(zipFilename);
+    if (
+      zipFilename.endsWith(exactKey) ||
+      zipNorm === targetNorm ||
+      zipNorm.includes(targetNorm) ||
+      targetNorm.includes(zipNorm)
+    ) {
+      candidates.push(zipFilename);
+    }
+  }
+
+  if (!candidates.length) return { status: 'unmatched', key: null, file: null, candidates };
+  return {
+    status: candidates.length === 1 ? 'matched' : 'ambiguous',
+    key: candidates[0],
+    file: filesMap.get(candidates[0]),
+    candidates
+  };
+}
+
+// WhatsApp media names carry the send date (and on iOS the time):
+// "IMG-20250724-WA0003.jpg", "PTT-20250724-WA0001.opus", "00000234-PHOTO-2025-07-30-20-40-18.jpg"
+const ANDROID_NAME_RE = /^(IMG|VID|AUD|PTT|DOC|STK)-(\d{4})(\d{2})(\d{2})-WA(\d+)/i;
+const IOS_NAME_RE = /(PHOTO|VIDEO|AUDIO|STICKER|GIF)-(\d{4})-(\d{2})-(\d{2})-(\d{2})-(\d{2})-(\d{2})/i;
+const NAME_KINDS = {
+  img: 'image', photo: 'image', vid: 'video', video: 'video', gif: 'gif',
+  aud: 'audio', ptt: 'audio', audio: 'audio', doc: 'document', stk: 'sticker', sticker: 'sticker'
+};
+
+/** { kind, date: 'YYYY-MM-DD', time: 'HH:mm:ss' | null, seq } from a WhatsApp media filename, or null */
+export function mediaNameHint(filename) {
+  const base = (filename || '').split('/').pop();
+  let m = base.match(IOS_NAME_RE);
+  if (m) {
+    return { kind: NAME_KINDS[m[1].toLowerCase()], date: `${m[2]}-${m[3]}-${m[4]}`, time: `${m[5]}:${m[6]}:${m[7]}`, seq: null };
+  }
+  m = base.match(ANDROID_NAME_RE);
+  if (m) {
+    return { kind: NAME_KINDS[m[1].toLowerCase()], date: `${m[2]}-${m[3]}-${m[4]}`, time: null, seq: Number(m[5]) };
+  }
+  return null;
+}
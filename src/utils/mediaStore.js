@@ -0,0 +1,359 @@
+// Content-addressed media store: each distinct file is written once to
+// <UPLOAD_ROOT>/media/<ab>/<cd>/<sha256><ext> and tracked by a `media` row per user with a reference count
+// (so each user's name for it stays their own). Image thumbnails live next to it under
+// <UPLOAD_ROOT>/thumbs/<ab>/<cd>/<sha256>-<size>.jpg.
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { pool } from '../db.js';
+import { ensureDir, detectMime, sniffMime } from './file.js';
+import { imageSize, probeMedia, readProbeBuffer } from './mediaInfo.js';
+import { signedMediaUrl } from './mediaUrl.js';
+import { THUMBNAIL_SIZES, canThumbnail, renderThumbnails } from './thumbnails.js';
+import { formatIso } from './time.js';
+
+// storeMediaFile() touches the file it reuses; a file touched this recently may be about to be
+// referenced again (acquireMedia), so cleanup leaves its row alone until the next run
+const PRUNE_GRACE_MS = 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+export function uploadRoot() {
+  return process.env.UPLOAD_ROOT || 'uploads';
+}
+
+/** Absolute-or-cwd-relative path of a media row's storage_path */
+export function mediaFilePath(storagePath) {
+  return path.join(uploadRoot(), storagePath);
+}
+
+/** Storage path of one thumbnail size of a file */
+export function thumbnailStoragePath(sha256, size) {
+  return path.posix.join('thumbs', sha256.slice(0, 2), sha256.slice(2, 4), `${sha256}-${size}.jpg`);
+}
+
+async function exists(p) {
+  try {
+    await fs.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Write-then-rename so a concurrent import never sees a half-written file */
+async function writeAtomic(outPath, data) {
+  await ensureDir(path.dirname(outPath));
+  const tmpPath = `${outPath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tmpPath, data);
+  await fs.rename(tmpPath, outPath);
+}
+
+/**
+ * Make sure every thumbnail size exists for an image. Only missing sizes are rendered.
+ * Returns { small: { width, height }, ... } (sizes not smaller than the image are absent),
+ * or null when the format can't be decoded or decoding failed.
+ */
+export async function ensureThumbnails(data, sha256, mimeType) {
+  if (!canThumbnail(mimeType)) return null;
+  const result = {};
+  const missing = [];
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    try {
+      const dims = imageSize(await fs.readFile(mediaFilePath(thumbnailStoragePath(sha256, size))));
+      if (dims) result[size] = dims;
+      else missing.push(size);
+    } catch {
+      missing.push(size);
+    }
+  }
+  if (!missing.length) return result;
+
+  try {
+    for (const thumb of await renderThumbnails(data, missing)) {
+      await writeAtomic(mediaFilePath(thumbnailStoragePath(sha256, thumb.size)), thumb.buffer);
+      result[thumb.size] = { width: thumb.width, height: thumb.height };
+    }
+  } catch (e) {
+    // a broken image must not fail the import; the original is still served
+    console.warn(`[Media] Thumbnails failed for ${sha256}: ${e.message}`);
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Copy a stream into a temp file next to the store, hashing it on the way.
+ * Returns { tmpPath, sha256, size, head } (head: the first bytes, for sniffMime)
+ */
+async function spool(source) {
+  const dir = path.join(uploadRoot(), 'incoming');
+  await ensureDir(dir);
+  const tmpPath = path.join(dir, `${process.pid}-${crypto.randomUUID()}.tmp`);
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  let head = Buffer.alloc(0);
+  const tap = new Transform({
+    transform(chunk, _encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      if (head.length < 64) head = Buffer.concat([head, chunk.subarray(0, 64 - head.length)]);
+      callback(null, chunk);
+    }
+  });
+  try {
+    await pipeline(source, tap, createWriteStream(tmpPath));
+  } catch (e) {
+    await fs.unlink(tmpPath).catch(() => { });
+    throw e;
+  }
+  return { tmpPath, sha256: hash.digest('hex'), size, head };
+}
+
+/**
+ * Write a file to the store (once per distinct content), render thumbnails and read metadata.
+ * `source` is a Buffer or a readable stream (e.g. a ZIP entry), which is streamed to disk rather than
+ * held in memory; only files up to PROBE_WHOLE_MAX (mediaInfo.js) are read back whole (for thumbnails).
+ * Does not touch the database; pair with acquireMedia() once a message references it.
+ * Returns { sha256, size, mimeType, width, height, durationMs, capturedAt, capturedOffset,
+ *           thumbnails, storagePath, originalName }
+ */
+export async function storeMediaFile(source, originalName) {
+  const { tmpPath, sha256, size, head } = await spool(Buffer.isBuffer(source) ? Readable.from([source]) : source);
+  try {
+    const mimeType = sniffMime(head) || detectMime(originalName || '');
+    const ext = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '').slice(0, 10);
+    const storagePath = path.posix.join('media', sha256.slice(0, 2), sha256.slice(2, 4), `${sha256}${ext}`);
+
+    const outPath = mediaFilePath(storagePath);
+    if (await exists(outPath)) {
+      await fs.utimes(outPath, new Date(), new Date());
+    } else {
+      await ensureDir(path.dirname(outPath));
+      await fs.rename(tmpPath, outPath);
+    }
+
+    const probe = await readProbeBuffer(outPath, mimeType);
+    const meta = probeMedia(probe.buf, mimeType, probe.size);
+    // stored like message timestamps: UTC when the offset is known, otherwise the wall time as-is
+    const capturedAt = meta.capturedAt && meta.capturedOffset !== null
+      ? new Date(Date.parse(`${meta.capturedAt.replace(' ', 'T')}Z`) - meta.capturedOffset * 60000)
+      : meta.capturedAt;
+    return {
+      sha256,
+      size,
+      mimeType,
+      width: meta.width,
+      height: meta.height,
+      durationMs: meta.durationMs,
+      capturedAt,
+      capturedOffset: meta.capturedOffset,
+      // an image too large to read whole is served without thumbnails
+      thumbnails: probe.whole ? await ensureThumbnails(probe.buf, sha256, mimeType) : null,
+      storagePath,
+      originalName: originalName ? originalName.split('/').pop().slice(0, 255) : null
+    };
+  } finally {
+    // gone already when it was moved into place
+    await fs.unlink(tmpPath).catch(() => { });
+  }
+}
+
+/**
+ * Upsert the user's media row for a stored file and take one reference. Returns the media id.
+ * Metadata missing on an existing row (e.g. created before thumbnails existed) is filled in.
+ */
+export async function acquireMedia(conn, userId, info) {
+  const [result] = await conn.execute(
+    `INSERT INTO media (user_id, sha256, size, mime_type, width, height, duration_ms, captured_at, captured_offset,
+                        thumbnails, storage_path, original_name, ref_count)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)
+     ON DUPLICATE KEY UPDATE
+       ref_count = ref_count + 1,
+       width = COALESCE(width, VALUES(width)),
+       height = COALESCE(height, VALUES(height)),
+       duration_ms = COALESCE(duration_ms, VALUES(duration_ms)),
+       captured_at = COALESCE(captured_at, VALUES(captured_at)),
+       captured_offset = COALESCE(captured_offset, VALUES(captured_offset)),
+       thumbnails = COALESCE(thumbnails, VALUES(thumbnails)),
+       id = LAST_INSERT_ID(id)`,
+    [
+      userId, info.sha256, info.size, info.mimeType, info.width, info.height, info.durationMs, info.capturedAt,
+      info.capturedOffset, info.thumbnails ? JSON.stringify(info.thumbnails) : null, info.storagePath,
+      info.originalName
+    ]
+  );
+  return result.insertId;
+}
+
+/** Give back one reference (e.g. when the message insert turned out to be a duplicate) */
+export async function releaseMedia(conn, mediaId) {
+  await conn.execute('UPDATE media SET ref_count = GREATEST(ref_count - 1, 0) WHERE id = ?', [mediaId]);
+}
+
+/** Store `source` (Buffer or stream) and take a reference for the user in one step. Returns { id, ...info } */
+export async function saveMedia(conn, userId, source, originalName) {
+  const info = await storeMediaFile(source, originalName);
+  const id = await acquireMedia(conn, userId, info);
+  return { id, ...info };
+}
+
+/**
+ * Delete media rows nobody references any more, and their files once no other user's row
+ * shares them. Returns the number of rows removed.
+ */
+export async function pruneUnreferencedMedia(conn) {
+  const [rows] = await conn.execute('SELECT id, sha256, storage_path FROM media WHERE ref_count <= 0');
+  let removed = 0;
+  for (const row of rows) {
+    const stat = await fs.stat(mediaFilePath(row.storage_path)).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs < PRUNE_GRACE_MS) continue;
+    // re-check: an import may have taken a new reference since the SELECT
+    const [result] = await conn.execute('DELETE FROM media WHERE id = ? AND ref_count <= 0', [row.id]);
+    if (!result.affectedRows) continue;
+    removed++;
+
+    // other users' rows of the same content (their file may have another extension)
+    const [shared] = await conn.execute('SELECT storage_path FROM media WHERE sha256 = ?', [row.sha256]);
+    if (!shared.some(r => r.storage_path === row.storage_path)) {
+      await fs.unlink(mediaFilePath(row.storage_path)).catch(() => { });
+    }
+    if (shared.length) continue;
+    for (const size of Object.keys(THUMBNAIL_SIZES)) {
+      await fs.unlink(mediaFilePath(thumbnailStoragePath(row.sha256, size))).catch(() => { });
+    }
+  }
+  return removed;
+}
+
+/** Whether a file was last written or reused (storeMediaFile) more than PRUNE_GRACE_MS ago */
+async function isStale(filePath) {
+  const stat = await fs.stat(filePath).catch(() => null);
+  return Boolean(stat?.isFile()) && Date.now() - stat.mtimeMs >= PRUNE_GRACE_MS;
+}
+
+async function listDir(dir) {
+  return fs.readdir(dir).catch(() => []);
+}
+
+/**
+ * Delete files of the store that no media row accounts for and nobody touched for PRUNE_GRACE_MS:
+ * those stored by an import whose transaction then rolled back, and interrupted writes (*.tmp,
+ * incoming/). A thumbnail stays while its original was stored again recently. Returns the number removed.
+ */
+export async function sweepOrphanFiles(conn) {
+  let removed = 0;
+  const remove = async filePath => {
+    // re-check: the file may have been reused since it was listed
+    if (!(await isStale(filePath))) return;
+    await fs.unlink(filePath).catch(() => { });
+    removed++;
+  };
+
+  const incoming = path.join(uploadRoot(), 'incoming');
+  for (const name of await listDir(incoming)) await remove(path.join(incoming, name));
+
+  for (const top of ['media', 'thumbs']) {
+    for (const ab of await listDir(path.join(uploadRoot(), top))) {
+      for (const cd of await listDir(path.join(uploadRoot(), top, ab))) {
+        const dir = path.posix.join(top, ab, cd);
+        const names = [];
+        for (const name of await listDir(mediaFilePath(dir))) {
+          if (await isStale(mediaFilePath(path.posix.join(dir, name)))) names.push(name);
+        }
+        if (!names.length) continue;
+
+        const hashes = [...new Set(names.map(name => name.slice(0, 64)))];
+        const [rows] = await conn.execute(
+          `SELECT sha256, storage_path FROM media WHERE sha256 IN (${hashes.map(() => '?').join(',')})`,
+          hashes
+        );
+        const paths = new Set(rows.map(r => r.storage_path));
+        const known = new Set(rows.map(r => r.sha256));
+        const recent = new Set();
+        if (top === 'thumbs') {
+          const originals = path.posix.join('media', ab, cd);
+          for (const name of await listDir(mediaFilePath(originals))) {
+            if (!(await isStale(mediaFilePath(path.posix.join(originals, name))))) recent.add(name.slice(0, 64));
+          }
+        }
+
+        for (const name of names) {
+          const rel = path.posix.join(dir, name);
+          const used = top === 'media' ? paths.has(rel) : known.has(name.slice(0, 64)) || recent.has(name.slice(0, 64));
+          if (!used || name.endsWith('.tmp')) await remove(mediaFilePath(rel));
+        }
+      }
+    }
+  }
+  return removed;
+}
+
+/**
+ * Prune unreferenced media now and then every hour (deleted chats and messages only drop references),
+ * then sweep files left without a row
+ */
+export function startMediaCleanup() {
+  const run = async () => {
+    try {
+      const removed = await pruneUnreferencedMedia(pool);
+      if (removed) console.log(`[Media] Pruned ${removed} unreferenced media rows`);
+      const swept = await sweepOrphanFiles(pool);
+      if (swept) console.log(`[Media] Removed ${swept} files without a media row`);
+    } catch (e) {
+      console.error('[Media] Cleanup failed:', e);
+    }
+  };
+  setInterval(run, PRUNE_INTERVAL_MS);
+  run();
+}
+
+/** Load media rows by id. Returns Map<id, row> */
+export async function loadMediaByIds(ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (!unique.length) return new Map();
+  const [rows] = await pool.execute(
+    `SELECT id, sha256, size, mime_type, width, height, duration_ms, captured_at, captured_offset,
+            thumbnails, storage_path, original_name
+     FROM media WHERE id IN (${unique.map(() => '?').join(',')})`,
+    unique
+  );
+  return new Map(rows.map(r => [r.id, r]));
+}
+
+/**
+ * Thumbnail URLs of an image row: { small: { url, width, height }, medium: ... }.
+ * Sizes that weren't needed (image already small) point at the original. null for non-images.
+ */
+function describeThumbnails(row) {
+  const thumbs = typeof row.thumbnails === 'string' ? JSON.parse(row.thumbnails) : row.thumbnails;
+  if (!thumbs) return null;
+  const out = {};
+  for (const size of Object.keys(THUMBNAIL_SIZES)) {
+    out[size] = thumbs[size]
+      ? { url: signedMediaUrl(row.id, `thumb/${size}`), ...thumbs[size] }
+      : { url: signedMediaUrl(row.id), width: row.width, height: row.height };
+  }
+  return out;
+}
+
+/** API shape of a media row (urls are signed, expiring /api/media links) */
+export function describeMedia(row) {
+  if (!row) return null;
+  // capture time without a recorded offset is the camera's wall clock: render it without a zone
+  const capturedAt = row.captured_at ? formatIso(row.captured_at, row.captured_offset ?? 0) : null;
+  return {
+    id: row.id,
+    url: signedMediaUrl(row.id),
+    mime_type: row.mime_type,
+    size: Number(row.size),
+    width: row.width,
+    height: row.height,
+    duration_ms: row.duration_ms,
+    captured_at: capturedAt && row.captured_offset === null ? capturedAt.slice(0, 19) : capturedAt,
+    thumbnails: describeThumbnails(row),
+    original_name: row.original_name
+  };
+}
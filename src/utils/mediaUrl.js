@@ -0,0 +1,47 @@
+// Signed, expiring media URLs: /api/media/<id>?exp=<unix seconds>&sig=<hmac>.
+// Lets <img>/<audio>/<video> tags load private media without an Authorization header.
+import crypto from 'crypto';
+
+const DEFAULT_TTL = 60 * 60; // seconds
+
+function secret() {
+  return process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+}
+
+function ttlSeconds() {
+  const n = Number(process.env.MEDIA_URL_TTL);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_TTL;
+}
+
+function signature(mediaId, exp) {
+  return crypto.createHmac('sha256', secret()).update(`${mediaId}.${exp}`).digest('base64url');
+}
+
+/**
+ * Signed URL for a media row (or one of its variants, e.g. "thumb/small"), valid for at least
+ * MEDIA_URL_TTL seconds.
+ * The expiry is rounded up to a TTL-sized window so repeated API calls hand out the
+ * same URL for a while and browsers can reuse their cached copy.
+ * The signature covers the media id only, so it is valid for every variant of that media.
+ */
+export function signedMediaUrl(mediaId, variant = null) {
+  const ttl = ttlSeconds();
+  const now = Math.floor(Date.now() / 1000);
+  const exp = (Math.floor(now / ttl) + 2) * ttl;
+  const base = variant ? `/api/media/${mediaId}/${variant}` : `/api/media/${mediaId}`;
+  return `${base}?exp=${exp}&sig=${signature(mediaId, exp)}`;
+}
+
+/** Check ?exp&sig for `mediaId`. Returns 'valid', 'expired' or 'invalid' */
+export function verifyMediaSignature(mediaId, exp, sig) {
+  if (!exp || !sig || !/^\d+$/.test(String(exp))) return 'invalid';
+  const expected = Buffer.from(signature(mediaId, exp));
+  const given = Buffer.from(String(sig));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return 'invalid';
+  return Number(exp) < Date.now() / 1000 ? 'expired' : 'valid';
+}
+
+/** Seconds until a signed URL's expiry (0 if already past) */
+export function secondsUntil(exp) {
+  return Math.max(0, Math.floor(Number(exp) - Date.now() / 1000));
+}
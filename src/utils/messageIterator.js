@@ -0,0 +1,36 @@
+// Walk large message sets in (timestamp, id) order without loading them all at once.
+import { pool } from '../db.js';
+import { keysetCondition } from './pagination.js';
+
+const DEFAULT_BATCH = 500;
+
+/**
+ * Yield rows oldest first, `batch` rows per query (keyset over m.timestamp, m.id).
+ * `columns` / `joins` are SQL fragments over the messages table aliased as `m`;
+ * `where` starts with WHERE and must not be empty. The selected columns must include m.id and m.timestamp.
+ */
+export async function* iterateMessages({ columns, joins = '', where, params, batch = DEFAULT_BATCH }) {
+  let pos = null;
+  for (;;) {
+    let sql = where;
+    const allParams = [...params];
+    if (pos) {
+      const cond = keysetCondition('after', pos, { alias: 'm.' });
+      sql += ` AND ${cond.sql}`;
+      allParams.push(...cond.params);
+    }
+    // batch is a constant integer, safe to inline
+    const [rows] = await pool.execute(
+      `SELECT ${columns}
+       FROM messages m
+       ${joins}
+       ${sql}
+       ORDER BY m.timestamp ASC, m.id ASC
+       LIMIT ${batch}`,
+      allParams
+    );
+    yield* rows;
+    if (rows.length < batch) return;
+    pos = { timestamp: rows[rows.length - 1].timestamp, id: rows[rows.length - 1].id };
+  }
+}
@@ -0,0 +1,62 @@
+// Keyset (cursor) pagination helpers for message lists ordered by (timestamp, id).
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+/** Parse a ?limit= value, falling back to def and capping at max */
+export function clampLimit(value, def = DEFAULT_LIMIT, max = MAX_LIMIT) {
+  const n = Number.parseInt(value, 10);
+  if (!Number.isFinite(n) || n <= 0) return def;
+  return Math.min(n, max);
+}
+
+/** Encode a row's (timestamp, id) position as an opaque, URL-safe cursor */
+export function encodeCursor(row) {
+  const ts = row.timestamp ? new Date(row.timestamp).toISOString() : null;
+  return Buffer.from(JSON.stringify([ts, String(row.id)])).toString('base64url');
+}
+
+/** Decode a cursor produced by encodeCursor. Returns { timestamp: Date|null, id } or null if malformed */
+export function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') return null;
+  try {
+    const [ts, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!/^\d+$/.test(String(id))) return null;
+    const timestamp = ts === null ? null : new Date(ts);
+    if (timestamp && Number.isNaN(timestamp.getTime())) return null;
+    return { timestamp, id: Number(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a WHERE fragment selecting rows after/before a position in (timestamp, id) order.
+ * NULL timestamps sort first, matching MySQL's ORDER BY timestamp ASC.
+ * `inclusive` also keeps the row at the position itself (used to anchor ?around=).
+ * Returns { sql, params }.
+ */
+export function keysetCondition(direction, pos, { alias = '', inclusive = false } = {}) {
+  const ts = `${alias}timestamp`;
+  const id = `${alias}id`;
+
+  if (direction === 'after') {
+    const idOp = inclusive ? '>=' : '>';
+    if (pos.timestamp === null) {
+      return { sql: `((${ts} IS NULL AND ${id} ${idOp} ?) OR ${ts} IS NOT NULL)`, params: [pos.id] };
+    }
+    return {
+      sql: `(${ts} > ? OR (${ts} = ? AND ${id} ${idOp} ?))`,
+      params: [pos.timestamp, pos.timestamp, pos.id]
+    };
+  }
+
+  const idOp = inclusive ? '<=' : '<';
+  if (pos.timestamp === null) {
+    return { sql: `(${ts} IS NULL AND ${id} ${idOp} ?)`, params: [pos.id] };
+  }
+  return {
+    sql: `(${ts} < ? OR (${ts} = ? AND ${id} ${idOp} ?) OR ${ts} IS NULL)`,
+    params: [pos.timestamp, pos.timestamp, pos.id]
+  };
+}
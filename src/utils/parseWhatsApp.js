@@ -1,55 +1,272 @@
-// Robust WhatsApp .txt parser: handles common 12/24h, bracketed, multiline, attachments.
+// Robust WhatsApp .txt parser: handles common 12/24h, bracketed, multiline, attachments, system lines.
+import { matchSystemEvent, unknownSystemEvent, MEMBERSHIP_KINDS } from './systemEvents.js';
+
 const CLEAN_RE = /[\u200E\u200F\u202A-\u202E\u00A0\u202F]/g; // remove LTR/RTL, NBSPs
 // match either: <attached: ...> (captures everything until >) OR a bare filename (allow spaces, parentheses)
-const FILENAME_RE = /(?:<attached:\s*([^>]+)>|(?:\s|^)([A-Za-z0-9._\-\s()]+\.(?:jpg|jpeg|png|gif|mp4|mov|m4a|mp3|opus|pdf|docx?|xlsx?|pptx?)))/i;
-
-// Try a few formats, e.g.:
-// "24/07/25, 10:15 pm - Name: message"
-// "[24/07/25, 22:15] Name: message"
-// "[27/06/25, 8:32:18PM] Name: message" (with seconds)
-const LINE_RES = [
-  /^(\d{1,2}\/\d{1,2}\/\d{2,4}),\s+(\d{1,2}:\d{2}\s?[APap][Mm])\s+-\s+([^:]+):\s+([\s\S]*)$/,
-  /^\[(\d{1,2}\/\d{1,2}\/\d{2,4}),\s+(\d{1,2}:\d{2}(?:\:\d{2})?(?:\s?[APap][Mm])?)\]\s+([^:]+):\s+([\s\S]*)$/,
-  /^(\d{1,2}\/\d{1,2}\/\d{2,4}),\s+(\d{1,2}:\d{2})\s+-\s+([^:]+):\s+([\s\S]*)$/
+const FILENAME_RE = /(?:<attached:\s*([^>]+)>|(?:\s|^)([A-Za-z0-9._\-\s()]+\.(?:jpg|jpeg|png|gif|mp4|mov|m4a|mp3|opus|pdf|vcf|docx?|xlsx?|pptx?)))/i;
+
+// Markers WhatsApp writes in place of (or next to) message text
+const DELETED_RE = /^(?:This message was deleted|You deleted this message)\.?$/i;
+const EDITED_RE = /\s*<This message was edited>$/i;
+// "<Media omitted>" (Android) or "image omitted" / "Report.pdf • 3 pages document omitted" (iOS)
+const OMITTED_RE = /^(?:<Media omitted>|(?:(.+?)\s+•.*\s)?(image|video|audio|sticker|GIF|document|Contact card) omitted)$/i;
+// omitted kind -> [media_kind, messages.type]
+const OMITTED_KINDS = {
+  image: ['image', 'image'],
+  video: ['video', 'video'],
+  audio: ['audio', 'audio'],
+  sticker: ['sticker', 'image'],
+  gif: ['gif', 'video'],
+  document: ['document', 'file'],
+  'contact card': ['contact', 'contact']
+};
+
+// "location: https://maps.google.com/?q=12.97,77.59" (optionally preceded by a place name / "Live location shared")
+const LOCATION_RE = /^(?:([\s\S]*?)\n)?(?:live )?location:\s*(https?:\/\/\S+)\s*$/i;
+// "POLL:\n<question>\nOPTION: Yes (3 votes)\nOPTION: No (1 vote)"
+const POLL_RE = /^POLL:\s*\n([\s\S]+?)\n(OPTION:[\s\S]*)$/i;
+const POLL_OPTION_RE = /^OPTION:\s*(.*?)\s*\((\d+) votes?\)\s*$/i;
+
+// Values of messages.type (keep in sync with the ENUM in sql/schema.sql)
+export const MESSAGE_TYPES = ['text', 'image', 'video', 'audio', 'pdf', 'file', 'system', 'location', 'contact', 'poll'];
+
+// Line headers come in two layouts, with any of "/", "." or "-" as date separator:
+// "24/07/25, 10:15 pm - Name: message"        (Android)
+// "[24/07/25, 22:15] Name: message"           (iOS)
+// "[27/06/25, 8:32:18PM] Name: message"       (with seconds)
+// "24.07.25, 22:15 - Name: message"           (German and other 24h locales)
+// "2025-07-24 22:15 - Name: message"          (ISO-style)
+// "7/24/25, 10:15 p.m. - Name: message"       (US order, dotted meridiem)
+// Meridiem markers may also precede the time ("午後10:15", "오후 10:15").
+const AM_MARKERS = ['am', 'vorm', '午前', '上午', '오전', 'ص', 'πμ', 'sa', 'fm'];
+const PM_MARKERS = ['pm', 'nachm', '午後', '下午', '오후', 'م', 'μμ', 'ch', 'em'];
+const MERIDIEM = '(?:[AaPp]\\.?\\s?[Mm]\\.?|vorm\\.|nachm\\.|午前|午後|上午|下午|오전|오후|ص|م|π\\.?μ\\.?|μ\\.?μ\\.?|[FfEe]\\.?[Mm]\\.?|SA|CH)';
+const DATE_PART = '(\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4})\\.?';
+const TIME_PART = `((?:${MERIDIEM}\\s?)?\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?(?:\\s?${MERIDIEM})?)`;
+const HEADER_RES = [
+  new RegExp(`^${DATE_PART},?\\s+${TIME_PART}\\s+[-–]\\s+([\\s\\S]*)$`),
+  new RegExp(`^\\[${DATE_PART},?\\s+${TIME_PART}\\]\\s+([\\s\\S]*)$`)
 ];
+const AUTHOR_RE = /^([^:]+):\s+([\s\S]*)$/;
+// iOS prefixes system text with U+200E and attributes it to the group ("[..] Group: \u200EAlice added Bob")
+const IOS_SYSTEM_HINT_RE = /^\[[^\]]+\]\s[^:]+:\s\u200E/;
+
+export const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+
+/** Attachment filename referenced by a message's text ("<attached: x.jpg>" or a bare "x.jpg"), or null */
+export function extractFilename(content) {
+  // Use match() (non-global regex) to avoid lastIndex state issues across messages
+  const match = (content || '').match(FILENAME_RE);
+  if (!match) return null;
+  return (match[1] || match[2] || '').trim() || null;
+}
+
+/** messages.type for an attachment, from its extension */
+export function typeForFilename(filename) {
+  const ext = filename.split('.').pop().toLowerCase();
+  if (['jpg', 'jpeg', 'png', 'gif'].includes(ext)) return 'image';
+  if (['mp4', 'mov'].includes(ext)) return 'video';
+  if (['mp3', 'm4a', 'opus'].includes(ext)) return 'audio';
+  if (ext === 'pdf') return 'pdf';
+  if (ext === 'vcf') return 'contact';
+  return 'file';
+}
+
+/** Pull coordinates out of a maps link (?q=lat,lng, ?ll=lat,lng, /@lat,lng, /place/lat,lng) */
+export function parseLocation(url) {
+  const m = url.match(/[?&](?:q|ll|query)=(-?\d+(?:\.\d+)?),\s*(-?\d+(?:\.\d+)?)/) ||
+    url.match(/[@/](-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)/);
+  if (!m) return null;
+  const latitude = Number(m[1]);
+  const longitude = Number(m[2]);
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
+
+/** "POLL:\nQuestion\nOPTION: A (2 votes)..." -> { question, options: [{ text, votes }], totalVotes } or null */
+export function parsePoll(content) {
+  const m = content.match(POLL_RE);
+  if (!m) return null;
+  const options = [];
+  for (const line of m[2].split('\n')) {
+    const o = line.trim().match(POLL_OPTION_RE);
+    if (o) options.push({ text: o[1], votes: Number(o[2]) });
+  }
+  if (!options.length) return null;
+  return { question: m[1].trim(), options, totalVotes: options.reduce((sum, o) => sum + o.votes, 0) };
+}
+
+/** Split a header line into { date, time, rest } or null */
+function matchHeader(line) {
+  for (const R of HEADER_RES) {
+    const m = line.match(R);
+    if (m) return { date: m[1], time: m[2], rest: m[3] };
+  }
+  return null;
+}
+
+function splitDate(d) {
+  return d.split(/[./-]/).map(Number);
+}
+
+/** Map a meridiem spelling ("p.m.", "PM", "nachm.", "午後") to 'am' | 'pm' | null */
+function meridiemOf(t) {
+  const letters = t.replace(/[\d:.\s]/g, '').toLowerCase();
+  if (!letters) return null;
+  if (AM_MARKERS.includes(letters)) return 'am';
+  if (PM_MARKERS.includes(letters)) return 'pm';
+  return null;
+}
+
+/** "22:15", "10:15 p.m.", "8.32.18 PM", "午後10:15" -> { hours, minutes, seconds, meridiem } or null */
+function parseTime(t) {
+  const m = t.match(/(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?/);
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  const seconds = m[3] ? Number(m[3]) : 0;
+  const meridiem = meridiemOf(t);
+
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  return { hours, minutes, seconds, meridiem };
+}
+
+/** Date order implied by a BCP 47 locale, e.g. 'en-US' -> 'MDY', 'de-DE' -> 'DMY' */
+export function localeDateOrder(locale) {
+  try {
+    const parts = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(2000, 11, 31));
+    const order = parts
+      .filter(p => ['day', 'month', 'year'].includes(p.type))
+      .map(p => p.type[0].toUpperCase())
+      .join('');
+    return DATE_ORDERS.includes(order) ? order : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Accept 'dmy', 'MDY', 'D/M/Y'... and return a DATE_ORDERS value or null */
+export function normalizeDateOrder(value) {
+  if (!value) return null;
+  const order = String(value).toUpperCase().replace(/[^DMY]/g, '');
+  return DATE_ORDERS.includes(order) ? order : null;
+}
+
+/** Count how often consecutive dates go backwards when read in the given order */
+function countInversions(tuples, order) {
+  let inversions = 0;
+  let prev = null;
+  for (const t of tuples) {
+    const { year, month, day } = orderParts(t, order);
+    const key = year * 10000 + month * 100 + day;
+    if (prev !== null && key < prev) inversions++;
+    prev = key;
+  }
+  return inversions;
+}
 
-function parseDate(d, t) {
-  // d = DD/MM/YY(YY) ; t = "HH:mm" or "hh:mm:ss AM" or "hh:mm AM"
-  const [dd, mm, yy] = d.split('/').map(Number);
-  let year = yy < 100 ? 2000 + yy : yy;
-  let hours = 0, minutes = 0, seconds = 0;
-
-  // Try to match with seconds first, then without
-  let m = t.trim().match(/^(\d{1,2}):(\d{2}):(\d{2})\s*([AaPp][Mm])?$/);
-  if (m) {
-    hours = Number(m[1]); minutes = Number(m[2]); seconds = Number(m[3]);
-  } else {
-    m = t.trim().match(/^(\d{1,2}):(\d{2})\s*([AaPp][Mm])?$/);
-    if (!m) return null;
-    hours = Number(m[1]); minutes = Number(m[2]);
+function orderParts([a, b, c], order) {
+  let day, month, year;
+  if (order === 'YMD') [year, month, day] = [a, b, c];
+  else if (order === 'MDY') [month, day, year] = [a, b, c];
+  else [day, month, year] = [a, b, c];
+  if (year < 100) year += 2000;
+  return { year, month, day };
+}
+
+/**
+ * Infer the date order of a whole export from its header dates.
+ * A first field > 12 can only be a day (DMY), a second field > 12 only a day (MDY),
+ * a 4-digit first field means YMD. When every date is ambiguous, the order that keeps
+ * the (chronological) export sorted wins; DMY is the fallback.
+ * Returns { order, confidence: 0..1, reason }
+ */
+export function detectDateOrder(dates) {
+  const tuples = dates.map(splitDate);
+  if (!tuples.length) return { order: 'DMY', confidence: 0, reason: 'no_dates' };
+
+  if (tuples.every(t => t[0] > 31)) return { order: 'YMD', confidence: 1, reason: 'year_first' };
+
+  let dmy = 0;
+  let mdy = 0;
+  for (const [a, b] of tuples) {
+    if (a > 12 && b <= 12) dmy++;
+    else if (b > 12 && a <= 12) mdy++;
   }
 
-  const ampm = m[4]?.toLowerCase() || m[3]?.toLowerCase();
+  if (dmy || mdy) {
+    const order = dmy >= mdy ? 'DMY' : 'MDY';
+    const confidence = Math.max(dmy, mdy) / (dmy + mdy);
+    return { order, confidence, reason: dmy && mdy ? 'conflicting_values' : 'impossible_values' };
+  }
 
-  if (ampm) {
-    if (ampm === 'pm' && hours < 12) hours += 12;
-    if (ampm === 'am' && hours === 12) hours = 0;
+  const dmyInv = countInversions(tuples, 'DMY');
+  const mdyInv = countInversions(tuples, 'MDY');
+  if (dmyInv !== mdyInv) {
+    return { order: dmyInv < mdyInv ? 'DMY' : 'MDY', confidence: 0.75, reason: 'chronological_order' };
   }
+  return { order: 'DMY', confidence: 0.5, reason: 'default' };
+}
+
+/** Human-readable format, e.g. { order: 'MDY' } + "7/24/25" -> "MM/DD/YY" */
+function describeFormat(order, sample, clock) {
+  const sep = (sample.match(/[./-]/) || ['/'])[0];
+  const yearDigits = String(splitDate(sample)[order === 'YMD' ? 0 : 2]).length > 2 ? 'YYYY' : 'YY';
+  const fields = { D: 'DD', M: 'MM', Y: yearDigits };
+  return `${order.split('').map(f => fields[f]).join(sep)} ${clock === '12h' ? 'h:mm a' : 'HH:mm'}`;
+}
+
+function parseDate(d, t, order = 'DMY') {
+  // d = date in the detected order with any separator ; t = 24h or 12h time with optional seconds
+  const { year, month, day } = orderParts(splitDate(d), order);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const time = parseTime(t);
+  if (!time) return null;
+
   // local time: store as "YYYY-MM-DD HH:mm:ss"
-  const mmPadded = String(mm).padStart(2, '0');
-  const ddPadded = String(dd).padStart(2, '0');
-  const hhPadded = String(hours).padStart(2, '0');
-  const miPadded = String(minutes).padStart(2, '0');
-  const sePadded = String(seconds).padStart(2, '0');
+  const mmPadded = String(month).padStart(2, '0');
+  const ddPadded = String(day).padStart(2, '0');
+  const hhPadded = String(time.hours).padStart(2, '0');
+  const miPadded = String(time.minutes).padStart(2, '0');
+  const sePadded = String(time.seconds).padStart(2, '0');
 
   return `${year}-${mmPadded}-${ddPadded} ${hhPadded}:${miPadded}:${sePadded}`;
 }
 
-/** Returns { nameGuess, participants:Set, messages:[{author, content, timestamp, type, filename}] } */
-export function parseWhatsAppText(txt, filePath = 'chat.txt') {
+/**
+ * Returns { nameGuess, participants:Set, messages:[{author, content, timestamp, type, filename, event, payload, deleted, edited, mediaOmitted, mediaKind}], dateFormat }
+ * System lines become type 'system' messages with event = { kind, actor, targets, value, previous }.
+ * Every message carries flags: deleted, edited, mediaOmitted and mediaKind (image, sticker, document...).
+ * location and poll messages carry a structured payload ({ latitude, longitude, ... } / { question, options }).
+ * options.dateOrder ('DMY' | 'MDY' | 'YMD') or options.locale (e.g. 'en-US') override the detected date order.
+ * dateFormat = { order, format, confidence, reason, overridden }
+ */
+export function parseWhatsAppText(txt, filePath = 'chat.txt', options = {}) {
   console.log(`Parsing WhatsApp text from ${filePath}, ${txt.length} characters`);
-  const lines = txt.replace(CLEAN_RE, '').split(/\r?\n/);
+  const rawLines = txt.split(/\r?\n/);
+  const lines = rawLines.map(l => l.replace(CLEAN_RE, ''));
   console.log(`Split into ${lines.length} lines`);
+
+  // First pass: collect every header so the date order is decided from the whole file
+  const headers = lines.map(raw => matchHeader(raw.trimEnd()));
+  const headerDates = headers.filter(Boolean).map(h => h.date);
+  const detected = detectDateOrder(headerDates);
+  const override = normalizeDateOrder(options.dateOrder) || (options.locale ? localeDateOrder(options.locale) : null);
+  const order = override || detected.order;
+  const clock = headers.some(h => h && meridiemOf(h.time)) ? '12h' : '24h';
+  const dateFormat = {
+    order,
+    format: describeFormat(order, headerDates[0] || '', clock),
+    confidence: override ? 1 : detected.confidence,
+    reason: override ? 'override' : detected.reason,
+    overridden: Boolean(override),
+    detectedOrder: detected.order
+  };
+  console.log(`Date format: ${dateFormat.format} (${dateFormat.reason}, confidence ${dateFormat.confidence.toFixed(2)})`);
   const messages = [];
   const participants = new Set();
 
@@ -59,59 +276,106 @@ export function parseWhatsAppText(txt, filePath = 'chat.txt') {
     if (!cur) return;
     const rec = { ...cur };
 
+    if (rec.event) {
+      messages.push({ ...rec, type: 'system', filename: null, payload: null, deleted: false, edited: false, mediaOmitted: false, mediaKind: null });
+      return;
+    }
+
+    const flags = { deleted: false, edited: false, mediaOmitted: false, mediaKind: null };
+
+    if (EDITED_RE.test(rec.content)) {
+      flags.edited = true;
+      rec.content = rec.content.replace(EDITED_RE, '');
+    }
+
+    const trimmed = rec.content.trim();
+    if (DELETED_RE.test(trimmed)) {
+      flags.deleted = true;
+      // the marker is not the message's text, which is gone
+      messages.push({ ...rec, content: null, type: 'text', filename: null, event: null, payload: null, ...flags });
+      return;
+    }
+
+    const omitted = trimmed.match(OMITTED_RE);
+    if (omitted) {
+      // exported "without media": keep the kind so the UI (and media counts) can tell what was sent
+      flags.mediaOmitted = true;
+      const [mediaKind, omittedType] = OMITTED_KINDS[omitted[2]?.toLowerCase()] || [null, 'file'];
+      flags.mediaKind = mediaKind;
+      const docType = mediaKind === 'document' && /\.pdf$/i.test(omitted[1] || '') ? 'pdf' : omittedType;
+      messages.push({ ...rec, content: omitted[1] || '', type: docType, filename: null, event: null, payload: null, ...flags });
+      return;
+    }
+
+    const location = trimmed.match(LOCATION_RE);
+    const coords = location && parseLocation(location[2]);
+    if (coords) {
+      const payload = { ...coords, url: location[2], name: location[1]?.trim() || null, live: /^live location/im.test(trimmed) };
+      messages.push({ ...rec, type: 'location', filename: null, event: null, payload, ...flags });
+      return;
+    }
+
+    const poll = parsePoll(trimmed);
+    if (poll) {
+      messages.push({ ...rec, type: 'poll', filename: null, event: null, payload: poll, ...flags });
+      return;
+    }
+
     // detect media
     let type = 'text';
     let filename = null;
 
-    // Use match() (non-global regex) to avoid lastIndex state issues across messages
-    const match = rec.content.match(FILENAME_RE);
-    if (match) {
-      filename = (match[1] || match[2] || '').trim();
-      if (filename) {
-        console.log(`Extracted filename from message: "${filename}" from content: "${rec.content.substring(0, 100)}..."`);
-      }
-    }
+    filename = extractFilename(rec.content);
     if (filename) {
-      const ext = filename.split('.').pop().toLowerCase();
-      if (['jpg', 'jpeg', 'png', 'gif'].includes(ext)) type = 'image';
-      else if (['mp4', 'mov'].includes(ext)) type = 'video';
-      else if (['mp3', 'm4a', 'opus'].includes(ext)) type = 'audio';
-      else if (ext === 'pdf') type = 'pdf';
-      else type = 'file';
+      console.log(`Extracted filename from message: "${filename}" from content: "${rec.content.substring(0, 100)}..."`);
+      type = typeForFilename(filename);
     }
 
-    messages.push({ ...rec, type, filename });
+    if (filename) flags.mediaKind = type === 'pdf' ? 'document' : type;
+    // contact payloads are filled in at import time from the .vcf inside the ZIP
+    messages.push({ ...rec, type, filename, event: null, payload: null, ...flags });
   }
 
   let parsedLines = 0;
   let skippedLines = 0;
 
-  for (const raw of lines) {
-    const line = raw.trimEnd();
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trimEnd();
     if (!line) continue;
 
     let parsed = null;
-    for (const R of LINE_RES) {
-      const m = line.match(R);
-      if (m) {
-        const d = m[1], t = m[2], author = m[3].trim();
-        const content = m[4] ?? '';
-        const ts = parseDate(d, t);
-        parsed = { ts, author, content };
-        parsedLines++;
-        if (parsedLines <= 3) {
-          console.log(`Parsed message ${parsedLines}: ${author} at ${ts} - "${content.substring(0, 50)}..."`);
-        }
-        break;
+    const header = headers[i];
+    if (header) {
+      const ts = parseDate(header.date, header.time, order);
+      const m = header.rest.match(AUTHOR_RE);
+      const iosEvent = m && IOS_SYSTEM_HINT_RE.test(rawLines[i]) ? matchSystemEvent(m[2]) : null;
+
+      if (iosEvent) {
+        parsed = { ts, author: iosEvent.actor, content: m[2].trim(), event: iosEvent };
+      } else {
+        // Actors never contain ':', so "Author: X added Y" is not mistaken for a system line
+        const event = matchSystemEvent(header.rest) || (m ? null : unknownSystemEvent());
+        parsed = event
+          ? { ts, author: event.actor, content: header.rest.trim(), event }
+          : { ts, author: m[1].trim(), content: m[2] ?? '', event: null };
+      }
+
+      parsedLines++;
+      if (parsedLines <= 3) {
+        console.log(`Parsed message ${parsedLines}: ${parsed.author} at ${ts} - "${parsed.content.substring(0, 50)}..."`);
       }
     }
 
     if (parsed) {
       // start of a new message
       pushCur();
-      cur = { author: parsed.author, timestamp: parsed.ts, content: parsed.content };
-      if (parsed.author && !/added|removed|joined|left|created/i.test(parsed.author)) {
+      cur = { author: parsed.author, timestamp: parsed.ts, content: parsed.content, event: parsed.event };
+      if (!parsed.event && parsed.author) {
         participants.add(parsed.author);
+      } else if (parsed.event && MEMBERSHIP_KINDS.includes(parsed.event.kind)) {
+        for (const name of [parsed.event.actor, ...parsed.event.targets]) {
+          if (name) participants.add(name);
+        }
       }
     } else if (cur) {
       // multiline continuation
@@ -133,7 +397,12 @@ export function parseWhatsAppText(txt, filePath = 'chat.txt') {
   let base = filePath.split('/').pop().replace(/\.[Tt][Xx][Tt]$/, '');
   // Strip common WhatsApp export prefixes
   base = base.replace(/^WhatsApp Chat with\s+/i, '').replace(/^WhatsApp Chat -\s+/i, '').trim();
-  const nameGuess = (!base || base === '_chat' || base === 'chat') ? null : base;
+  let nameGuess = (!base || base === '_chat' || base === 'chat') ? null : base;
+  if (!nameGuess) {
+    // fall back to the group subject from the export itself (last change wins)
+    const subjects = messages.filter(m => m.event && (m.event.kind === 'subject_changed' || m.event.kind === 'group_created') && m.event.value);
+    if (subjects.length) nameGuess = subjects[subjects.length - 1].event.value;
+  }
 
-  return { nameGuess, participants, messages };
+  return { nameGuess, participants, messages, dateFormat };
 }
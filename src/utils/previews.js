@@ -0,0 +1,157 @@
+// Upload previews (POST /api/upload/preview): the uploaded ZIP waits in PREVIEW_DIR and its state in
+// upload_previews until confirmed, cancelled or expired. Expiry is decided by the database clock, so
+// every instance behind a load balancer agrees on it; PREVIEW_DIR must be shared between instances.
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { pool } from '../db.js';
+
+const DEFAULT_TTL = 15 * 60; // seconds
+// Bounds for PATCH /api/upload/preview/:id { ttlSeconds }
+export const MIN_PREVIEW_TTL = 60;
+export const MAX_PREVIEW_TTL = 24 * 60 * 60;
+
+/** Directory uploaded ZIPs are kept in while previewed */
+export function previewDir() {
+  return process.env.PREVIEW_DIR || 'tmp/previews';
+}
+
+/** Lifetime of a new preview in seconds (PREVIEW_TTL, default 15 minutes) */
+export function previewTtlSeconds() {
+  const n = Number(process.env.PREVIEW_TTL);
+  return Number.isFinite(n) && n > 0 ? Math.min(Math.floor(n), MAX_PREVIEW_TTL) : DEFAULT_TTL;
+}
+
+/** Delete expired previews and their ZIPs (any instance may run this; each row is deleted once) */
+setInterval(async () => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT id, storage_path FROM upload_previews WHERE expires_at <= CURRENT_TIMESTAMP'
+    );
+    for (const row of rows) {
+      const [result] = await pool.execute(
+        'DELETE FROM upload_previews WHERE id = ? AND expires_at <= CURRENT_TIMESTAMP',
+        [row.id]
+      );
+      if (!result.affectedRows) continue;
+      await fs.unlink(row.storage_path).catch(() => { });
+      console.log(`Cleaned up expired preview: ${row.id}`);
+    }
+  } catch (e) {
+    console.error('[Preview] Cleanup failed:', e);
+  }
+}, 60 * 1000); // check every minute
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value ?? null;
+}
+
+const PREVIEW_COLUMNS = `id, user_id, storage_path, original_name, file_names, chats, parse_options, timezone,
+  media_file_count, created_at, expires_at,
+  expires_at <= CURRENT_TIMESTAMP AS expired,
+  GREATEST(TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, expires_at), 0) AS expires_in`;
+
+/** A row as used by the upload routes */
+function previewFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    tempPath: row.storage_path,
+    originalName: row.original_name,
+    fileNames: parseJson(row.file_names),
+    chats: parseJson(row.chats),
+    parseOptions: parseJson(row.parse_options),
+    timezone: row.timezone,
+    mediaFileCount: row.media_file_count,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    expiresIn: Number(row.expires_in),
+    expired: Boolean(row.expired)
+  };
+}
+
+/** What GET /api/upload/preview lists of a preview */
+export function serializePreview(preview) {
+  return {
+    previewId: preview.id,
+    fileName: preview.originalName,
+    chats: preview.chats,
+    timezone: preview.timezone,
+    mediaFileCount: preview.mediaFileCount,
+    created_at: preview.createdAt,
+    expires_at: preview.expiresAt,
+    expiresInSeconds: preview.expiresIn
+  };
+}
+
+/**
+ * Store a preview of the ZIP at tempPath (inside previewDir()).
+ * chats: [{ fileName, nameGuess, messageCount, suggestedChatId }] for listing.
+ * Returns the stored preview.
+ */
+export async function createPreview({ userId, tempPath, originalName, fileNames, chats, parseOptions, timezone, mediaFileCount }) {
+  const id = crypto.randomUUID();
+  // the TTL is a clamped integer, safe to inline
+  await pool.execute(
+    `INSERT INTO upload_previews (id, user_id, storage_path, original_name, file_names, chats, parse_options,
+                                  timezone, media_file_count, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP + INTERVAL ${previewTtlSeconds()} SECOND)`,
+    [id, userId, tempPath, originalName || null, JSON.stringify(fileNames), JSON.stringify(chats),
+      JSON.stringify(parseOptions), timezone, mediaFileCount]
+  );
+  return loadPreview(userId, id);
+}
+
+/** The user's preview (expired or not, see .expired), or null */
+export async function loadPreview(userId, previewId) {
+  const [rows] = await pool.execute(
+    `SELECT ${PREVIEW_COLUMNS} FROM upload_previews WHERE id = ? AND user_id = ?`,
+    [previewId, userId]
+  );
+  return rows[0] ? previewFromRow(rows[0]) : null;
+}
+
+/** The user's pending (unexpired) previews, newest first */
+export async function listPreviews(userId) {
+  const [rows] = await pool.execute(
+    `SELECT ${PREVIEW_COLUMNS} FROM upload_previews
+     WHERE user_id = ? AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return rows.map(previewFromRow);
+}
+
+/**
+ * Give an unexpired preview a new lifetime, counted from now (clamped to MIN/MAX_PREVIEW_TTL).
+ * Returns false if it expired meanwhile.
+ */
+export async function setPreviewTtl(userId, previewId, ttlSeconds) {
+  const ttl = Math.min(Math.max(Math.floor(ttlSeconds), MIN_PREVIEW_TTL), MAX_PREVIEW_TTL);
+  const [result] = await pool.execute(
+    `UPDATE upload_previews SET expires_at = CURRENT_TIMESTAMP + INTERVAL ${ttl} SECOND
+     WHERE id = ? AND user_id = ? AND expires_at > CURRENT_TIMESTAMP`,
+    [previewId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+/**
+ * Take an unexpired preview out of the store, e.g. to confirm it: only one caller (on any instance)
+ * gets true, and the ZIP is then theirs to use or delete. Run it in the transaction that hands the
+ * ZIP on, so a failure puts the preview back.
+ */
+export async function claimPreview(conn, userId, previewId) {
+  const [result] = await conn.execute(
+    'DELETE FROM upload_previews WHERE id = ? AND user_id = ? AND expires_at > CURRENT_TIMESTAMP',
+    [previewId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+/** Delete a preview (pending or expired) and its ZIP. Returns false if it was already gone */
+export async function deletePreview(preview) {
+  const [result] = await pool.execute('DELETE FROM upload_previews WHERE id = ?', [preview.id]);
+  if (!result.affectedRows) return false;
+  await fs.unlink(preview.tempPath).catch(() => { });
+  return true;
+}
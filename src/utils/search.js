@@ -0,0 +1,92 @@
+// Helpers for MySQL BOOLEAN MODE full-text queries: term extraction and highlighted snippets.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(s) {
+  return s.replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Rewrite user input into a boolean-mode query InnoDB's parser accepts: "phrases", leading + / - and a
+ * trailing * are kept; a word holding other operator characters (alice@example.com, e-mail, (x)) is
+ * searched as a phrase instead, where they are plain separators. Returns '' when nothing is left.
+ */
+export function booleanQuery(q) {
+  const out = [];
+  const re = /([+-]?)(?:"([^"]*)"|([^\s"]+))/g;
+  let m;
+  while ((m = re.exec(q || '')) !== null) {
+    const [, op, phrase, word] = m;
+    if (phrase !== undefined) {
+      if (phrase.trim()) out.push(`${op}"${phrase.trim()}"`);
+      continue;
+    }
+    const prefix = /[^*]\*+$/.test(word);
+    const text = word.replace(/^[+\-~<>()@*]+/, '').replace(/[~<>()@*]+$/, '');
+    if (!text) continue;
+    if (/[^\p{L}\p{N}_.']/u.test(text)) out.push(`${op}"${text.replace(/\*/g, ' ')}"`);
+    else out.push(`${op}${text}${prefix ? '*' : ''}`);
+  }
+  return out.join(' ');
+}
+
+/**
+ * Extract the positive terms of a boolean-mode query, for highlighting.
+ * "quoted phrases" stay whole, `word*` becomes a prefix term, `-excluded` terms are dropped.
+ * Returns [{ text, prefix }]
+ */
+export function queryTerms(q) {
+  const terms = [];
+  const re = /([+\-~<>]*)(?:"([^"]+)"|([^\s"()]+))/g;
+  let m;
+  while ((m = re.exec(q || '')) !== null) {
+    if (m[1].includes('-')) continue;
+    if (m[2]) {
+      terms.push({ text: m[2].trim(), prefix: false });
+      continue;
+    }
+    const word = m[3].replace(/^[+\-~<>()]+|[()]+$/g, '');
+    const prefix = word.endsWith('*');
+    const text = word.replace(/\*+$/, '');
+    if (text) terms.push({ text, prefix });
+  }
+  return terms.filter(t => t.text);
+}
+
+/**
+ * Build an HTML-escaped snippet of `content` around the first hit, with hits wrapped in <mark>.
+ * Falls back to the start of the content when no term is found verbatim (e.g. stemming differences).
+ */
+export function buildSnippet(content, terms, radius = 60) {
+  const text = content || '';
+  if (!terms.length) return escapeHtml(text.slice(0, radius * 2));
+
+  const pattern = terms
+    .map(t => escapeRegExp(t.text) + (t.prefix ? '[\\p{L}\\p{N}_]*' : ''))
+    .sort((a, b) => b.length - a.length)
+    .join('|');
+  const re = new RegExp(pattern, 'giu');
+
+  const first = re.exec(text);
+  const center = first ? first.index : 0;
+  const start = Math.max(0, center - radius);
+  const end = Math.min(text.length, center + (first ? first[0].length : 0) + radius);
+  const window = text.slice(start, end);
+
+  let out = '';
+  let last = 0;
+  re.lastIndex = 0;
+  let m;
+  while ((m = re.exec(window)) !== null) {
+    if (!m[0]) { re.lastIndex++; continue; }
+    out += escapeHtml(window.slice(last, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    last = m.index + m[0].length;
+  }
+  out += escapeHtml(window.slice(last));
+
+  return `${start > 0 ? '…' : ''}${out}${end < text.length ? '…' : ''}`;
+}
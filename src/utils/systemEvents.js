@@ -0,0 +1,113 @@
+// Recognizes WhatsApp system lines ("X added Y", "X changed the subject to ...", the encryption notice...)
+// and turns them into structured events: { kind, actor, targets, value, previous }.
+
+const Q = '["“”\']'; // exports quote subjects with straight or curly quotes
+const ACTOR = '([^:]+?)'; // a colon means "Author: text", i.e. a normal message
+
+/** Split "A, B and C" / "A, B & C" into names */
+function splitNames(list) {
+  return list
+    .split(/,\s*|\s+(?:and|&)\s+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+const SYSTEM_PATTERNS = [
+  {
+    kind: 'encryption_notice',
+    re: /^Messages (?:and calls )?(?:to this (?:group|chat) )?are (?:now )?(?:secured with )?end-to-end encrypt/i,
+    map: () => ({})
+  },
+  {
+    kind: 'group_created',
+    re: new RegExp(`^${ACTOR} created (?:group ${Q}(.+)${Q}|this group)$`, 'i'),
+    map: m => ({ actor: m[1], value: m[2] || null })
+  },
+  {
+    kind: 'member_joined',
+    re: new RegExp(`^${ACTOR} joined (?:using (?:this group's|a group) (?:invite )?link|from the community)$`, 'i'),
+    map: m => ({ actor: m[1], targets: [m[1]] })
+  },
+  {
+    kind: 'member_left',
+    re: new RegExp(`^${ACTOR} left$`, 'i'),
+    map: m => ({ actor: m[1], targets: [m[1]] })
+  },
+  {
+    kind: 'subject_changed',
+    re: new RegExp(`^${ACTOR} changed the (?:subject|group name) (?:from ${Q}(.*?)${Q} )?to ${Q}(.+)${Q}$`, 'i'),
+    map: m => ({ actor: m[1], previous: m[2] ?? null, value: m[3] })
+  },
+  {
+    kind: 'icon_changed',
+    re: new RegExp(`^${ACTOR} changed (?:this group's|the group) (?:icon|photo)$`, 'i'),
+    map: m => ({ actor: m[1] })
+  },
+  {
+    kind: 'icon_deleted',
+    re: new RegExp(`^${ACTOR} (?:deleted|removed) (?:this group's|the group) (?:icon|photo)$`, 'i'),
+    map: m => ({ actor: m[1] })
+  },
+  {
+    kind: 'description_changed',
+    re: new RegExp(`^${ACTOR} changed the group description`, 'i'),
+    map: m => ({ actor: m[1] })
+  },
+  {
+    kind: 'settings_changed',
+    re: new RegExp(`^${ACTOR} changed (?:this group's|the group's|the group) settings`, 'i'),
+    map: m => ({ actor: m[1] })
+  },
+  {
+    kind: 'number_changed',
+    re: new RegExp(`^${ACTOR} changed (?:their phone number to a new number|to (\\+[\\d\\s-]+))`, 'i'),
+    map: m => ({ actor: m[1], value: m[2]?.trim() || null })
+  },
+  {
+    kind: 'admin_granted',
+    re: new RegExp(`^${ACTOR} made ${ACTOR} (?:an )?admin$`, 'i'),
+    map: m => ({ actor: m[1], targets: splitNames(m[2]) })
+  },
+  {
+    kind: 'security_code_changed',
+    re: /^Your security code with ([^:]+?) changed/i,
+    map: m => ({ targets: [m[1]] })
+  },
+  {
+    kind: 'member_added',
+    re: new RegExp(`^${ACTOR} added ${ACTOR}$`, 'i'),
+    map: m => ({ actor: m[1], targets: splitNames(m[2]) })
+  },
+  {
+    kind: 'member_removed',
+    re: new RegExp(`^${ACTOR} removed ${ACTOR}$`, 'i'),
+    map: m => ({ actor: m[1], targets: splitNames(m[2]) })
+  }
+];
+
+// Event kinds that change who is in the group
+export const MEMBERSHIP_KINDS = ['group_created', 'member_added', 'member_removed', 'member_left', 'member_joined'];
+
+/** Match a header's text against known system lines. Returns an event or null */
+export function matchSystemEvent(text) {
+  const line = (text || '').trim();
+  for (const { kind, re, map } of SYSTEM_PATTERNS) {
+    const m = line.match(re);
+    if (m) {
+      const ev = map(m);
+      return {
+        kind,
+        actor: ev.actor?.trim() || null,
+        targets: ev.targets || [],
+        value: ev.value ?? null,
+        previous: ev.previous ?? null
+      };
+    }
+  }
+  return null;
+}
+
+/** Event for a header without "Author:" that matched no known pattern */
+export function unknownSystemEvent() {
+  return { kind: 'other', actor: null, targets: [], value: null, previous: null };
+}
@@ -0,0 +1,42 @@
+// Image thumbnails with a pure-JS pipeline (jimp): decode once, apply EXIF orientation,
+// scale to fit each requested box and re-encode as JPEG.
+import { Jimp } from 'jimp';
+import { imageSize } from './mediaInfo.js';
+
+// Longest edge in pixels
+export const THUMBNAIL_SIZES = { small: 160, medium: 480 };
+
+const QUALITY = 75;
+// Decoding takes width × height × 4 bytes and blocks the event loop meanwhile: larger images
+// (or headers claiming so) are not thumbnailed and are served as the original
+export const MAX_THUMBNAIL_PIXELS = 32 * 1000 * 1000;
+// Formats jimp can decode (no WebP / HEIC)
+const DECODABLE = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/bmp', 'image/tiff']);
+
+export function canThumbnail(mimeType) {
+  return DECODABLE.has(mimeType);
+}
+
+/**
+ * Render thumbnails of `data` for the given size names (default: all).
+ * Sizes at least as large as the image itself are skipped; clients fall back to the original.
+ * Throws without decoding when the header is unreadable or over MAX_THUMBNAIL_PIXELS.
+ * Returns [{ size, width, height, buffer }]
+ */
+export async function renderThumbnails(data, sizes = Object.keys(THUMBNAIL_SIZES)) {
+  const dims = imageSize(data);
+  if (!dims) throw new Error('unreadable image header');
+  if (dims.width * dims.height > MAX_THUMBNAIL_PIXELS) throw new Error(`${dims.width}x${dims.height} is too large to thumbnail`);
+  const image = await Jimp.fromBuffer(data);
+  const out = [];
+  for (const size of sizes) {
+    const edge = THUMBNAIL_SIZES[size];
+    const scale = edge / Math.max(image.width, image.height);
+    if (scale >= 1) continue;
+    const width = Math.max(1, Math.round(image.width * scale));
+    const height = Math.max(1, Math.round(image.height * scale));
+    const thumb = image.clone().resize({ w: width, h: height });
+    out.push({ size, width, height, buffer: await thumb.getBuffer('image/jpeg', { quality: QUALITY }) });
+  }
+  return out;
+}
@@ -0,0 +1,170 @@
+// Timezone helpers. Timestamps are stored as UTC DATETIMEs (the pool runs with timezone 'Z' and a
+// UTC session time_zone) next to messages.tz_offset, the sender's UTC offset in minutes at the time
+// of the message.
+
+const formatters = new Map();
+
+function formatterFor(tz) {
+  let dtf = formatters.get(tz);
+  if (!dtf) {
+    dtf = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    });
+    formatters.set(tz, dtf);
+  }
+  return dtf;
+}
+
+/** True for IANA zone names Intl understands, e.g. 'Asia/Kolkata', 'UTC' */
+export function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== 'string') return false;
+  try {
+    formatterFor(tz);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Offset of `tz` from UTC at instant `date`, in minutes (e.g. +330 for Asia/Kolkata) */
+export function zoneOffsetMinutes(date, tz) {
+  const parts = {};
+  for (const p of formatterFor(tz).formatToParts(date)) parts[p.type] = Number(p.value);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const whole = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - whole) / 60000);
+}
+
+const WALL_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+
+/** The numeric fields of a WALL_TIME match, or null when one is out of range (Date.UTC would roll 2024-02-30 over to March) */
+function wallFields(m) {
+  const [year, month, day, hour, minute, second] = m.slice(1, 7).map(v => Number(v || 0));
+  const d = new Date(Date.UTC(year, month - 1, day));
+  if (d.getUTCMonth() !== month - 1 || d.getUTCDate() !== day) return null;
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  return [year, month, day, hour, minute, second];
+}
+
+/**
+ * Convert a naive wall-clock "YYYY-MM-DD HH:mm:ss" in `tz` to { utc: Date, offset }.
+ * Wall times skipped by a DST jump resolve to the offset after the change.
+ * Returns null for out-of-range fields (month 13, February 30th, 24:00) rather than rolling them over.
+ */
+export function wallTimeToUtc(wall, tz = 'UTC') {
+  const str = String(wall);
+  const m = str.match(WALL_TIME);
+  if (!m || m[0].length !== str.length) return null;
+  const fields = wallFields(m);
+  if (!fields) return null;
+  const [year, month, day, hour, minute, second] = fields;
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  let offset = zoneOffsetMinutes(new Date(guess), tz);
+  let utc = guess - offset * 60000;
+  const corrected = zoneOffsetMinutes(new Date(utc), tz);
+  if (corrected !== offset) {
+    offset = corrected;
+    utc = guess - offset * 60000;
+  }
+  return { utc: new Date(utc), offset };
+}
+
+/**
+ * Split [start, end) into pieces with a constant UTC offset in `tz` (i.e. at DST changes).
+ * Returns [{ start: Date, end: Date, offset }]. Assumes at most one change per day, true of every real zone.
+ */
+export function constantOffsetRanges(start, end, tz) {
+  const DAY = 86400000;
+  const ranges = [];
+  let from = start.getTime();
+  let offset = zoneOffsetMinutes(new Date(from), tz);
+
+  for (let t = from; t < end.getTime(); t += DAY) {
+    const next = Math.min(t + DAY, end.getTime());
+    if (zoneOffsetMinutes(new Date(next), tz) === offset) continue;
+    // binary search the minute the offset changes
+    let lo = t;
+    let hi = next;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+      if (zoneOffsetMinutes(new Date(mid), tz) === offset) lo = mid;
+      else hi = mid;
+    }
+    ranges.push({ start: new Date(from), end: new Date(hi), offset });
+    from = hi;
+    offset = zoneOffsetMinutes(new Date(hi), tz);
+  }
+  if (from < end.getTime()) ranges.push({ start: new Date(from), end, offset });
+  return ranges;
+}
+
+/** ISO-8601 with an explicit offset, e.g. "2025-07-24T22:15:00+05:30" */
+export function formatIso(date, offsetMinutes = 0) {
+  if (!date) return null;
+  const d = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(d.getTime())) return null;
+  const off = offsetMinutes || 0;
+  const local = new Date(d.getTime() + off * 60000).toISOString().slice(0, 19);
+  const sign = off < 0 ? '-' : '+';
+  const abs = Math.abs(off);
+  return `${local}${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Render a stored UTC timestamp: in `tz` when given, otherwise at the sender's original offset.
+ * Rows imported before offsets were recorded (tz_offset NULL until `npm run migrate:timestamps`)
+ * render as UTC.
+ */
+export function renderTimestamp(date, { tz = null, offset = null } = {}) {
+  if (!date) return null;
+  const off = tz ? zoneOffsetMinutes(new Date(date), tz) : offset;
+  return formatIso(date, off ?? 0);
+}
+
+/**
+ * Parse a date from a query string. Values with an explicit offset or "Z" are absolute;
+ * naive dates / date-times are read as wall time in `tz` (UTC by default). Returns Date or null,
+ * also for impossible dates such as 2024-02-30.
+ */
+export function parseDateInput(value, tz = null) {
+  if (!value) return null;
+  const str = String(value).trim();
+  const naive = wallTimeToUtc(str, tz || 'UTC');
+  if (naive) return naive.utc;
+  // Date() rolls an ISO day past the month's end over into the next month
+  const m = str.match(WALL_TIME);
+  if (m && !wallFields(m)) return null;
+  const d = new Date(str);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * SQL conditions on `column` for ?from=&to= (read with parseDateInput). A date-only `to` covers
+ * that whole day: it becomes `<` the next day's midnight in `tz` rather than `<=` its own.
+ * Returns { sql: ' AND ...' (empty without bounds), params } or { error }.
+ */
+export function dateRangeCondition(query, column, tz = null) {
+  let sql = '';
+  const params = [];
+  for (const [key, op] of [['from', '>='], ['to', '<=']]) {
+    if (!query[key]) continue;
+    const str = String(query[key]).trim();
+    let date = parseDateInput(str, tz);
+    if (!date) return { error: `invalid ${key} date` };
+    let cmp = op;
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(str)) {
+      const [year, month, day] = str.split('-').map(Number);
+      const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+      date = wallTimeToUtc(nextDay, tz || 'UTC')?.utc;
+      if (!date) return { error: `invalid ${key} date` };
+      cmp = '<';
+    }
+    sql += ` AND ${column} ${cmp} ?`;
+    params.push(date);
+  }
+  return { sql, params };
+}
@@ -0,0 +1,228 @@
+// Resumable uploads (POST /api/upload/sessions): the client announces a ZIP, sends it in fixed-size
+// chunks with a sha256 each, in any order and as often as needed, then completes it into a preview.
+// Chunks are written in place into one file in PREVIEW_DIR; which ones arrived is kept in
+// upload_chunks, so any instance can take the next chunk and a dropped connection loses one chunk at most.
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { pool } from '../db.js';
+import { previewDir } from './previews.js';
+
+export const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+// Every chunk but the last has chunkSize bytes, chosen by the client within these bounds
+export const MIN_CHUNK_SIZE = 256 * 1024;
+export const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+// Uploads a user may have in progress at once (each reserves its full size on disk)
+export const MAX_OPEN_UPLOADS = 3;
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024 * 1024; // bytes
+const DEFAULT_TTL = 24 * 60 * 60; // seconds
+
+/** Largest upload accepted, in bytes (UPLOAD_MAX_SIZE, default 10 GiB) */
+export function maxUploadSize() {
+  const n = Number(process.env.UPLOAD_MAX_SIZE);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_MAX_SIZE;
+}
+
+/** How long an upload may sit without receiving a chunk (UPLOAD_SESSION_TTL, default 24 hours) */
+function sessionTtlSeconds() {
+  const n = Number(process.env.UPLOAD_SESSION_TTL);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_TTL;
+}
+
+/** Delete abandoned uploads and their partial files */
+setInterval(async () => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT id, storage_path FROM upload_sessions WHERE expires_at <= CURRENT_TIMESTAMP'
+    );
+    for (const row of rows) {
+      const [result] = await pool.execute(
+        'DELETE FROM upload_sessions WHERE id = ? AND expires_at <= CURRENT_TIMESTAMP',
+        [row.id]
+      );
+      if (!result.affectedRows) continue;
+      await fs.unlink(row.storage_path).catch(() => { });
+      console.log(`Cleaned up expired upload: ${row.id}`);
+    }
+  } catch (e) {
+    console.error('[Upload] Cleanup failed:', e);
+  }
+}, 60 * 1000); // check every minute
+
+/** sha256 of a Buffer, lowercase hex */
+export function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/** The user's upload with the indexes of the chunks received so far (see .expired), or null */
+export async function loadUploadSession(userId, uploadId) {
+  const [rows] = await pool.execute(
+    `SELECT id, user_id, storage_path, original_name, size, chunk_size, chunk_count, sha256, created_at, expires_at,
+            expires_at <= CURRENT_TIMESTAMP AS expired
+     FROM upload_sessions WHERE id = ? AND user_id = ?`,
+    [uploadId, userId]
+  );
+  const row = rows[0];
+  if (!row) return null;
+
+  const [chunks] = await pool.execute(
+    'SELECT chunk_index FROM upload_chunks WHERE upload_id = ? ORDER BY chunk_index',
+    [uploadId]
+  );
+  return {
+    id: row.id,
+    userId: row.user_id,
+    storagePath: row.storage_path,
+    originalName: row.original_name,
+    size: Number(row.size),
+    chunkSize: row.chunk_size,
+    chunkCount: row.chunk_count,
+    sha256: row.sha256,
+    receivedChunks: chunks.map(c => c.chunk_index),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    expired: Boolean(row.expired)
+  };
+}
+
+/** How many unexpired uploads the user has in progress */
+export async function openUploadCount(userId) {
+  const [rows] = await pool.execute(
+    'SELECT COUNT(*) AS cnt FROM upload_sessions WHERE user_id = ? AND expires_at > CURRENT_TIMESTAMP',
+    [userId]
+  );
+  return Number(rows[0].cnt);
+}
+
+/** Chunk indexes still to be sent */
+export function missingChunks(session) {
+  const received = new Set(session.receivedChunks);
+  const missing = [];
+  for (let i = 0; i < session.chunkCount; i++) {
+    if (!received.has(i)) missing.push(i);
+  }
+  return missing;
+}
+
+/** What the upload session routes answer with */
+export function serializeUploadSession(session) {
+  return {
+    uploadId: session.id,
+    fileName: session.originalName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    chunkCount: session.chunkCount,
+    receivedChunks: session.receivedChunks,
+    missingChunks: missingChunks(session),
+    created_at: session.createdAt,
+    expires_at: session.expiresAt
+  };
+}
+
+/** Bytes chunk `index` must have: chunkSize, except for a shorter last chunk */
+export function chunkLength(session, index) {
+  return index < session.chunkCount - 1
+    ? session.chunkSize
+    : session.size - (session.chunkCount - 1) * session.chunkSize;
+}
+
+/**
+ * Start an upload of `size` bytes (at most maxUploadSize(), checked by the caller together with
+ * MAX_OPEN_UPLOADS): reserves its file in previewDir() and returns the session.
+ * sha256 (optional) is checked against the whole file on completion.
+ */
+export async function createUploadSession({ userId, fileName, size, chunkSize, sha256 }) {
+  const id = crypto.randomUUID();
+  const storagePath = path.join(previewDir(), `upload-${id}`);
+  await fs.mkdir(previewDir(), { recursive: true });
+  const handle = await fs.open(storagePath, 'w');
+  try {
+    await handle.truncate(size);
+  } finally {
+    await handle.close();
+  }
+
+  // the TTL is an integer, safe to inline
+  await pool.execute(
+    `INSERT INTO upload_sessions (id, user_id, storage_path, original_name, size, chunk_size, chunk_count, sha256, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP + INTERVAL ${sessionTtlSeconds()} SECOND)`,
+    [id, userId, storagePath, fileName || null, size, chunkSize, Math.ceil(size / chunkSize), sha256 || null]
+  );
+  return loadUploadSession(userId, id);
+}
+
+/**
+ * Write chunk `index` (already checked against its length and checksum) into the upload's file
+ * and record it. Sending a chunk again overwrites it. Each chunk keeps the upload alive.
+ */
+export async function writeChunk(session, index, data) {
+  const handle = await fs.open(session.storagePath, 'r+');
+  try {
+    await handle.write(data, 0, data.length, index * session.chunkSize);
+  } finally {
+    await handle.close();
+  }
+  await pool.execute(
+    `INSERT INTO upload_chunks (upload_id, chunk_index, sha256) VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE sha256 = VALUES(sha256), received_at = CURRENT_TIMESTAMP`,
+    [session.id, index, sha256Hex(data)]
+  );
+  await pool.execute(
+    `UPDATE upload_sessions SET expires_at = CURRENT_TIMESTAMP + INTERVAL ${sessionTtlSeconds()} SECOND WHERE id = ?`,
+    [session.id]
+  );
+}
+
+/**
+ * Check the assembled file, reading it once: every chunk against the sha256 it was received with,
+ * and the whole file against the sha256 announced at start (if any). Chunks that no longer match
+ * are forgotten, so they are listed as missing again. Returns { badChunks, fileMatches }.
+ */
+export async function verifyUpload(session) {
+  const [rows] = await pool.execute('SELECT chunk_index, sha256 FROM upload_chunks WHERE upload_id = ?', [session.id]);
+  const received = new Map(rows.map(r => [r.chunk_index, r.sha256]));
+  const whole = crypto.createHash('sha256');
+  const badChunks = [];
+
+  const handle = await fs.open(session.storagePath, 'r');
+  try {
+    const buffer = Buffer.alloc(session.chunkSize);
+    for (let i = 0; i < session.chunkCount; i++) {
+      const length = chunkLength(session, i);
+      const { bytesRead } = await handle.read(buffer, 0, length, i * session.chunkSize);
+      const data = buffer.subarray(0, bytesRead);
+      whole.update(data);
+      if (bytesRead !== length || sha256Hex(data) !== received.get(i)) badChunks.push(i);
+    }
+  } finally {
+    await handle.close();
+  }
+
+  if (badChunks.length) {
+    await pool.execute(
+      `DELETE FROM upload_chunks WHERE upload_id = ? AND chunk_index IN (${badChunks.map(() => '?').join(',')})`,
+      [session.id, ...badChunks]
+    );
+  }
+  return { badChunks, fileMatches: !session.sha256 || whole.digest('hex') === session.sha256 };
+}
+
+/**
+ * Take a complete, unexpired upload out of the store: only one caller (on any instance) gets true,
+ * and the file is then theirs.
+ */
+export async function claimUploadSession(userId, uploadId) {
+  const [result] = await pool.execute(
+    'DELETE FROM upload_sessions WHERE id = ? AND user_id = ? AND expires_at > CURRENT_TIMESTAMP',
+    [uploadId, userId]
+  );
+  return result.affectedRows > 0;
+}
+
+/** Abort an upload and delete its file. Returns false if it was already gone */
+export async function deleteUploadSession(session) {
+  const [result] = await pool.execute('DELETE FROM upload_sessions WHERE id = ?', [session.id]);
+  if (!result.affectedRows) return false;
+  await fs.unlink(session.storagePath).catch(() => { });
+  return true;
+}
@@ -0,0 +1,91 @@
+// Minimal vCard (.vcf) reader for contact cards shared in chats and address-book imports.
+
+/** Undo vCard text escaping (\n, \, \; \\) */
+function unescapeValue(v) {
+  return v.replace(/\\([nN,;\\])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch));
+}
+
+/** Decode a QUOTED-PRINTABLE value (older Android exports) as UTF-8 */
+function decodeQuotedPrintable(v) {
+  const bytes = [];
+  const str = v.replace(/=\r?\n/g, '');
+  for (let i = 0; i < str.length; i++) {
+    if (str[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(str.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(str.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(str[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/** Parse "TEL;TYPE=CELL;waid=9198...:+91 98..." into { name, params, value } */
+function parseLine(line) {
+  const idx = line.indexOf(':');
+  if (idx < 0) return null;
+  const [rawName, ...paramParts] = line.slice(0, idx).split(';');
+  const params = {};
+  for (const p of paramParts) {
+    const [k, val] = p.split('=');
+    const key = (val === undefined ? 'TYPE' : k).toUpperCase();
+    params[key] = [...(params[key] || []), ...(val ?? k).split(',').map(s => s.toLowerCase())];
+  }
+  let value = line.slice(idx + 1);
+  if (params.ENCODING?.includes('quoted-printable')) value = decodeQuotedPrintable(value);
+  // "item1.TEL" group prefixes are irrelevant here
+  return { name: rawName.replace(/^[^.]+\./, '').toUpperCase(), params, value };
+}
+
+/**
+ * Parse every card in a .vcf text.
+ * Returns [{ name, firstName, lastName, org, phones: [{ value, types, waId }], emails: [] }]
+ */
+export function parseVCards(text) {
+  // unfold continuation lines (RFC 6350: CRLF followed by a space or tab)
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    if (/^BEGIN:VCARD$/i.test(line.trim())) {
+      card = { name: null, firstName: null, lastName: null, org: null, phones: [], emails: [] };
+      continue;
+    }
+    if (!card) continue;
+    if (/^END:VCARD$/i.test(line.trim())) {
+      if (!card.name) card.name = [card.firstName, card.lastName].filter(Boolean).join(' ') || card.phones[0]?.value || null;
+      cards.push(card);
+      card = null;
+      continue;
+    }
+
+    const prop = parseLine(line);
+    if (!prop) continue;
+    const value = unescapeValue(prop.value).trim();
+
+    switch (prop.name) {
+      case 'FN':
+        card.name = value || card.name;
+        break;
+      case 'N': {
+        const [last, first] = prop.value.split(';').map(v => unescapeValue(v).trim());
+        card.lastName = last || null;
+        card.firstName = first || null;
+        break;
+      }
+      case 'ORG':
+        card.org = value.split(';').filter(Boolean).join(', ') || null;
+        break;
+      case 'TEL':
+        if (value) card.phones.push({ value, types: prop.params.TYPE || [], waId: prop.params.WAID?.[0] || null });
+        break;
+      case 'EMAIL':
+        if (value) card.emails.push(value);
+        break;
+      default:
+        break;
+    }
+  }
+  return cards;
+}
@@ -1,40 +1,50 @@
-import JSZip from 'jszip';
-import fs from 'fs/promises';
+import yauzl from 'yauzl';
 
-/** Load ZIP buffer from uploaded temp file path */
-export async function loadZip(tempPath) {
-  const buf = await fs.readFile(tempPath);
-  return JSZip.loadAsync(buf);
+/** Inflate one entry into a Buffer */
+async function readEntry(zipfile, entry) {
+  const stream = await zipfile.openReadStreamPromise(entry);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
 }
 
-/** Return: { txtFiles: Array<{path, text}>, filesMap: Map<lowerBasename, {path, arrayBuffer}> } */
-export async function extractZipMeta(zip) {
+/**
+ * Open an uploaded ZIP without loading it: only its central directory is read up front.
+ * Return: { txtFiles: Array<{path, text}>, filesMap: Map<lowerBasename, {path, size, stream(), read()}>, close() }
+ * Chat exports (.txt) are inflated right away, as they are parsed anyway. Media entries are inflated
+ * one at a time when a message references them: stream() for storing (nothing held in memory),
+ * read() into a Buffer for small files that are parsed (vCards).
+ * Call close() when done with the archive (read() fails afterwards).
+ */
+export async function openZip(tempPath) {
+  const zipfile = await yauzl.openPromise(tempPath, { autoClose: false });
   const txtFiles = [];
   const filesMap = new Map();
 
-  const entries = Object.values(zip.files);
-  console.log(`Processing ${entries.length} entries from ZIP`);
-  
-  for (const entry of entries) {
-    if (entry.dir) continue;
-    const lower = entry.name.toLowerCase();
+  try {
+    for await (const entry of zipfile.eachEntry()) {
+      if (entry.fileName.endsWith('/')) continue;
+      const lower = entry.fileName.toLowerCase();
 
-    if (lower.endsWith('.txt')) {
-      const text = await entry.async('string');
-      txtFiles.push({ path: entry.name, text });
-      console.log(`Found txt file: ${entry.name}`);
-    } else {
-      const basename = lower.split('/').pop();
-      try {
-        const buf = await entry.async('uint8array'); // ArrayBuffer-like
-        filesMap.set(basename, { path: entry.name, data: Buffer.from(buf) });
-        console.log(`Found media file: ${entry.name} (${buf.length} bytes)`);
-      } catch (error) {
-        console.error(`Failed to extract media file ${entry.name}:`, error);
+      if (lower.endsWith('.txt')) {
+        const text = (await readEntry(zipfile, entry)).toString('utf8');
+        txtFiles.push({ path: entry.fileName, text });
+        console.log(`Found txt file: ${entry.fileName}`);
+      } else {
+        const basename = lower.split('/').pop();
+        filesMap.set(basename, {
+          path: entry.fileName,
+          size: entry.uncompressedSize,
+          stream: () => zipfile.openReadStreamPromise(entry),
+          read: () => readEntry(zipfile, entry)
+        });
       }
     }
+  } catch (e) {
+    zipfile.close();
+    throw e;
   }
 
-  console.log(`Extracted ${txtFiles.length} txt files and ${filesMap.size} media files`);
-  return { txtFiles, filesMap };
+  console.log(`Indexed ${txtFiles.length} txt files and ${filesMap.size} media files from ZIP (${zipfile.entryCount} entries)`);
+  return { txtFiles, filesMap, close: () => zipfile.close() };
 }